@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * RenderIQ CLI
+ * Runs an analysis without the UI (e.g. from a CI pipeline)
+ *
+ *   renderiq analyze <url> [--device mobile] [--network 3g] [--runs 3]
+ *                          [--budget budget.json] [--min-score 80] [--output report.json]
+ *                          [--interactions interactions.json] [--setup recording.json]
+ *
+ * Exit codes: 0 = passed, 1 = budget or minimum score failed, 2 = usage or analysis error
+ */
+
+import 'dotenv/config'
+import { promises as fs } from 'fs'
+import path from 'path'
+import { parseArgs } from 'util'
+import { runAnalysis, MAX_RUNS } from '../src/services/analysisService.js'
+import { NETWORK_PRESETS, LIGHTHOUSE_CATEGORIES } from '../src/services/performanceAnalyzer.js'
+import { renderHtmlReport } from '../src/services/htmlReport.js'
+
+const EXIT_OK = 0
+const EXIT_FAILED_CHECKS = 1
+const EXIT_ERROR = 2
+
+const USAGE = `Usage: renderiq analyze <url> [options]
+
+Options:
+  -d, --device <type>      desktop or mobile (default: desktop)
+  -n, --network <preset>   wifi, 4g, 3g or slow-3g (default: 4g)
+  -r, --runs <count>       Lighthouse runs; the median run is reported (default: 1)
+  -c, --categories <list>  Extra categories: accessibility,best-practices,seo (performance always runs)
+  -b, --budget <file>      Lighthouse budget.json to evaluate the report against
+  -i, --interactions <file> JSON list of { type, selector, text } clicks/typing/scrolls replayed to measure INP
+      --setup <file>       Chrome DevTools Recorder JSON or Playwright step list run first (e.g. an SSO login)
+  -s, --min-score <score>  Fail when the performance score is below this (0-100)
+  -o, --output <file>      Write the report; .html for HTML, anything else for JSON (repeatable)
+  -t, --timeout <ms>       Max page load wait (default: 60000)
+  -v, --verbose            Show analyzer logs
+  -h, --help               Show this help
+
+Exit codes: 0 passed, 1 budget or minimum score failed, 2 error`
+
+const OPTIONS = {
+  device: { type: 'string', short: 'd', default: 'desktop' },
+  network: { type: 'string', short: 'n', default: '4g' },
+  runs: { type: 'string', short: 'r', default: '1' },
+  categories: { type: 'string', short: 'c', default: 'performance' },
+  budget: { type: 'string', short: 'b' },
+  interactions: { type: 'string', short: 'i' },
+  setup: { type: 'string' },
+  'min-score': { type: 'string', short: 's' },
+  output: { type: 'string', short: 'o', multiple: true, default: [] },
+  timeout: { type: 'string', short: 't', default: '60000' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+}
+
+class UsageError extends Error {}
+
+const DEVICE_TYPES = ['desktop', 'mobile']
+
+const STATUS_LABELS = {
+  good: 'good',
+  'needs-improvement': 'needs improvement',
+  poor: 'poor',
+  unknown: '-',
+}
+
+/**
+ * Render rows as an aligned plain-text table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Table rows
+ * @returns {string}
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map(row => String(row[column]).length))
+  )
+  const line = (cells) => cells.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()
+
+  return [
+    line(headers),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line),
+  ].join('\n')
+}
+
+function printSummary(report, minScore) {
+  const metricRow = (key, metric, spread) => [
+    metric.label || key.toUpperCase(),
+    metric.valueFormatted,
+    STATUS_LABELS[metric.status] || metric.status,
+    spread ? `${spread.minFormatted} – ${spread.maxFormatted}` : '',
+  ]
+
+  const scoreCheck = minScore === null ? '' : report.score >= minScore ? `(min ${minScore}: pass)` : `(min ${minScore}: FAIL)`
+  const runs = report.runs ? `, median of ${report.runs.count} runs` : ''
+
+  console.log(`\n${report.url}`)
+  console.log(`Performance score: ${report.score}${runs} ${scoreCheck}`.trimEnd())
+  Object.values(report.categories || {})
+    .filter(category => category.id !== 'performance')
+    .forEach(category => console.log(`${category.title}: ${category.score ?? 'N/A'} (${category.issues.length} failed audits)`))
+  console.log()
+  console.log(formatTable(
+    ['Metric', 'Value', 'Status', report.runs ? 'Range' : ''],
+    [
+      ...Object.entries(report.webVitals).map(([key, metric]) => metricRow(key, metric, report.runs?.webVitals?.[key])),
+      ...Object.entries(report.metrics).map(([key, metric]) => metricRow(key, metric, report.runs?.metrics?.[key])),
+    ]
+  ))
+
+  if (report.budgets) {
+    console.log(`\nBudget (${report.budgets.path}): ${report.budgets.passed ? 'passed' : `${report.budgets.failed} over budget`}`)
+    console.log(formatTable(
+      ['Rule', 'Actual', 'Limit', 'Result'],
+      report.budgets.results.map(result => [
+        result.label,
+        result.actualFormatted,
+        result.limitFormatted,
+        result.pass === null ? 'not measured' : result.pass ? 'pass' : `FAIL (+${result.overByFormatted})`,
+      ])
+    ))
+  }
+  console.log()
+}
+
+async function writeOutputs(report, outputs) {
+  for (const output of outputs) {
+    const isHtml = /\.html?$/i.test(output)
+    const contents = isHtml ? renderHtmlReport(report) : JSON.stringify(report, null, 2)
+    await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true })
+    await fs.writeFile(output, contents)
+    console.error(`Wrote ${isHtml ? 'HTML' : 'JSON'} report to ${output}`)
+  }
+}
+
+async function readJsonFile(file, description) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'))
+  } catch (error) {
+    throw new UsageError(`Could not read ${description} file ${file}: ${error.message}`)
+  }
+}
+
+function parseNumber(value, name) {
+  const number = Number(value)
+  if (!Number.isFinite(number)) {
+    throw new UsageError(`--${name} must be a number (got "${value}")`)
+  }
+  return number
+}
+
+function checkChoice(value, choices, name) {
+  if (!choices.includes(value)) {
+    throw new UsageError(`--${name} must be one of ${choices.join(', ')} (got "${value}")`)
+  }
+}
+
+/**
+ * Reject bad flags before any file is read or a browser is launched
+ * @returns {Object} { runs, timeout, minScore }
+ */
+function validateOptions(options) {
+  checkChoice(options.device, DEVICE_TYPES, 'device')
+  checkChoice(options.network, Object.keys(NETWORK_PRESETS), 'network')
+  options.categories.split(',').map(category => category.trim()).filter(Boolean)
+    .forEach(category => checkChoice(category, LIGHTHOUSE_CATEGORIES, 'categories'))
+
+  const runs = parseNumber(options.runs, 'runs')
+  if (!Number.isInteger(runs) || runs < 1 || runs > MAX_RUNS) {
+    throw new UsageError(`--runs must be a whole number between 1 and ${MAX_RUNS} (got "${options.runs}")`)
+  }
+
+  return {
+    runs,
+    timeout: parseNumber(options.timeout, 'timeout'),
+    minScore: options['min-score'] === undefined ? null : parseNumber(options['min-score'], 'min-score'),
+  }
+}
+
+async function analyze(url, options) {
+  const { runs, timeout, minScore } = validateOptions(options)
+  const budgets = options.budget ? await readJsonFile(options.budget, 'budget') : undefined
+  const interactions = options.interactions ? await readJsonFile(options.interactions, 'interactions') : undefined
+  const setup = options.setup ? await readJsonFile(options.setup, 'setup script') : undefined
+
+  const request = {
+    url,
+    deviceType: options.device,
+    networkThrottling: options.network,
+    runs,
+    categories: options.categories,
+    timeout,
+    budgets,
+    interactions,
+    setup,
+  }
+
+  // Service logs are for the server console; keep stdout to the summary unless asked
+  const log = console.log
+  if (!options.verbose) console.log = () => {}
+
+  let report
+  try {
+    report = await runAnalysis(request, {
+      persist: false,
+      onProgress: ({ message, level }) => console.error(`${level === 'warning' ? '!' : '·'} ${message}`),
+    })
+  } finally {
+    console.log = log
+  }
+
+  printSummary(report, minScore)
+  await writeOutputs(report, options.output)
+
+  const scoreFailed = minScore !== null && report.score < minScore
+  const budgetFailed = report.budgets ? !report.budgets.passed : false
+
+  if (scoreFailed) console.error(`Score ${report.score} is below the minimum of ${minScore}`)
+  if (budgetFailed) console.error(`${report.budgets.failed} budget rule(s) exceeded`)
+
+  return scoreFailed || budgetFailed ? EXIT_FAILED_CHECKS : EXIT_OK
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  const [command, url] = positionals
+
+  if (options.help || !command) {
+    console.log(USAGE)
+    return options.help ? EXIT_OK : EXIT_ERROR
+  }
+  if (command !== 'analyze') {
+    throw new UsageError(`Unknown command "${command}"`)
+  }
+  if (!url) {
+    throw new UsageError('Missing <url>')
+  }
+
+  return analyze(url, options)
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Error: ${error.message}`)
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error(`\n${USAGE}`)
+    }
+    process.exit(EXIT_ERROR)
+  })
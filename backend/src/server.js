@@ -1,17 +1,69 @@
+// Load environment variables before any service module reads them at import time
+import 'dotenv/config'
 import express from 'express'
 import cors from 'cors'
-import dotenv from 'dotenv'
-import { validateURL, URLValidationError } from './services/urlValidator.js'
-import { analyzePerformance, PerformanceAnalysisError } from './services/performanceAnalyzer.js'
-import { processReport } from './services/reportProcessor.js'
-
-// Load environment variables
-dotenv.config()
+import { validateURL, validateURLFormat, URLValidationError } from './services/urlValidator.js'
+import { PerformanceAnalysisError, resolveAudits } from './services/performanceAnalyzer.js'
+import { ConcurrencyLimitError } from './services/concurrencyLimiter.js'
+import { runAnalysis, verifyAuth, importReport, getAnalysisStats } from './services/analysisService.js'
+import { createJobQueue, JobQueueError, FINISHED_STATUSES } from './services/jobQueue.js'
+import { getReport, getLighthouseResult, listReports, ReportStoreError } from './services/reportStore.js'
+import { compareReports, ReportComparisonError } from './services/reportComparator.js'
+import { BudgetError } from './services/budgetEvaluator.js'
+import { LhrImportError } from './services/lhrImporter.js'
+import { renderLighthouseHtml, lighthouseFilename } from './services/htmlReport.js'
+import { SUPPORTED_AUDITS } from './services/auditRegistry.js'
+import { InteractionError } from './services/interactionRunner.js'
+import { LoginError } from './services/loginRunner.js'
+import { SetupScriptError } from './services/setupScript.js'
+import { parseCookieJar, CookieJarError } from './services/cookieJar.js'
+import { parseCurl, CurlImportError } from './services/curlParser.js'
+import { AuthVerificationError } from './services/authVerifier.js'
 
 const app = express()
 const PORT = process.env.PORT || 5000
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000'
 
+// Background analyses submitted through /api/jobs
+const analysisJobs = createJobQueue({
+  processor: (request, context) => runAnalysis(request, context),
+  workers: Number(process.env.JOB_WORKERS) || 2,
+  retentionMs: (Number(process.env.JOB_RETENTION_MINUTES) || 60) * 60 * 1000,
+  describe: (request) => ({
+    url: request.url,
+    deviceType: request.deviceType || 'desktop',
+    networkThrottling: request.networkThrottling || '4g',
+    runs: Number(request.runs) || 1
+  })
+})
+
+// Service errors carry their own code and HTTP status
+const KNOWN_ERRORS = [URLValidationError, PerformanceAnalysisError, ConcurrencyLimitError, JobQueueError, ReportStoreError, ReportComparisonError, BudgetError, LhrImportError, InteractionError, LoginError, SetupScriptError, CookieJarError, CurlImportError, AuthVerificationError]
+
+/**
+ * Send a JSON error response for a failed request
+ * @param {Response} res - Express response
+ * @param {Error} error - Error thrown by a service
+ */
+function sendErrorResponse(res, error) {
+  if (KNOWN_ERRORS.some(ErrorClass => error instanceof ErrorClass)) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      message: error.message,
+      code: error.code,
+      // e.g. the failed auth check (final URL, rule results, screenshot) behind AUTH_FAILED
+      ...(error.details && { details: error.details })
+    })
+  }
+
+  console.error('Unexpected error:', error)
+  res.status(500).json({
+    status: 'error',
+    message: error.message || 'Internal server error',
+    code: 'INTERNAL_ERROR'
+  })
+}
+
 // Middleware - Allow multiple frontend origins
 app.use(cors({
   origin: [
@@ -23,7 +75,8 @@ app.use(cors({
   credentials: true
 }))
 
-app.use(express.json())
+// Reports posted for comparison can be well over the 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }))
 app.use(express.urlencoded({ extended: true }))
 
 // Request logging middleware (for development)
@@ -38,7 +91,9 @@ app.get('/api/health', (req, res) => {
     status: 'success',
     message: 'Server is running',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    analyses: getAnalysisStats(),
+    jobs: analysisJobs.stats()
   })
 })
 
@@ -50,7 +105,13 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       validateUrl: '/api/validate-url',
-      analyze: '/api/analyze'
+      analyze: '/api/analyze',
+      jobs: '/api/jobs',
+      reports: '/api/reports',
+      audits: '/api/audits',
+      parseCookies: '/api/auth/parse-cookies',
+      parseCurl: '/api/auth/parse-curl',
+      verifyAuth: '/api/auth/verify'
     }
   })
 })
@@ -100,9 +161,6 @@ app.post('/api/analyze', async (req, res) => {
   try {
     const { url } = req.body
 
-    // Get analysis options from request (optional)
-    const { deviceType = 'desktop', networkThrottling = '4g', auth = null } = req.body
-
     if (!url) {
       return res.status(400).json({
         status: 'error',
@@ -111,77 +169,256 @@ app.post('/api/analyze', async (req, res) => {
       })
     }
 
-    // Check if auth data is provided (for authenticated pages)
-    const hasAuth = auth && (
-      (auth.cookies && auth.cookies.length > 0) ||
-      (auth.localStorage && Object.keys(auth.localStorage).length > 0) ||
-      (auth.sessionStorage && Object.keys(auth.sessionStorage).length > 0)
-    )
+    // Validate, run Lighthouse and process the report (options come from the body)
+    const processedReport = await runAnalysis(req.body)
 
-    // Validate URL format and accessibility
-    // Skip accessibility check if auth data is provided (the page may require login)
-    const validationResult = await validateURL(url, {
-      timeout: 30000, // 30 seconds
-      checkAccessibility: !hasAuth // Skip accessibility check for authenticated pages
+    // Return processed report
+    res.json({
+      status: 'success',
+      message: 'Performance analysis complete',
+      data: processedReport
     })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Queue an analysis and return immediately with a job id
+app.post('/api/jobs', (req, res) => {
+  try {
+    const { url } = req.body
+
+    if (!url) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'URL is required in request body',
+        code: 'MISSING_URL'
+      })
+    }
 
-    if (hasAuth) {
-      console.log(`🔒 Authentication data provided - skipping public accessibility check`)
-      console.log(`   Auth contains: ${auth.cookies?.length || 0} cookies, ${Object.keys(auth.localStorage || {}).length} localStorage items`)
+    // Reject malformed URLs up front; accessibility is checked when the job runs
+    const formatResult = validateURLFormat(url)
+    if (!formatResult.isValid) {
+      throw new URLValidationError(formatResult.error, formatResult.code, 400)
     }
 
-    // URL is valid (format check passed), proceed with analysis
-    console.log(`Starting performance analysis for: ${validationResult.url}`)
-    
-    // Log auth info if provided
-    if (auth) {
-      console.log(`🔒 Authentication enabled (type: ${auth.type})`)
+    const job = analysisJobs.submit(req.body)
+    console.log(`📥 Queued analysis job ${job.id} for: ${url}`)
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Analysis queued',
+      data: job
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Job status (includes the processed report once completed)
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: analysisJobs.get(req.params.id)
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Live job status/progress as Server-Sent Events
+// Replays earlier events first, then streams until the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+  try {
+    let unsubscribe = () => {}
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+      if (event.type === 'status' && FINISHED_STATUSES.includes(event.status)) {
+        unsubscribe()
+        res.end()
+      }
     }
 
-    // Run performance analysis
-    const rawPerformanceData = await analyzePerformance(validationResult.url, {
-      deviceType,
-      networkThrottling,
-      auth, // Pass auth data for authenticated page analysis
-      cpuThrottling: 1,
-      timeout: 60000
+    // Look up the job before switching the response to an event stream
+    analysisJobs.get(req.params.id)
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
     })
 
-    // Add original URL to raw data for processing (for redirect detection)
-    rawPerformanceData.originalUrl = validationResult.url
+    unsubscribe = analysisJobs.subscribe(req.params.id, send)
+    req.on('close', () => unsubscribe())
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
 
-    // Process raw data into structured report
-    const processedReport = processReport(rawPerformanceData)
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', (req, res) => {
+  try {
+    const job = analysisJobs.cancel(req.params.id)
+    console.log(`🛑 Cancelled analysis job ${job.id}`)
 
-    // Return processed report
     res.json({
       status: 'success',
-      message: 'Performance analysis complete',
-      data: processedReport
+      message: 'Job cancelled',
+      data: job
     })
   } catch (error) {
-    if (error instanceof URLValidationError) {
-      return res.status(error.statusCode).json({
-        status: 'error',
-        message: error.message,
-        code: error.code
-      })
-    }
+    sendErrorResponse(res, error)
+  }
+})
 
-    if (error instanceof PerformanceAnalysisError) {
-      return res.status(error.statusCode).json({
-        status: 'error',
-        message: error.message,
-        code: error.code
-      })
+// Summaries of stored reports (filter: host, from, to, scoreBand, deviceType; sort/order)
+app.get('/api/reports', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await listReports(req.query)
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// A single stored report
+app.get('/api/reports/:id', async (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: await getReport(req.params.id)
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Untrimmed Lighthouse result, e.g. for the Lighthouse Viewer (googlechrome.github.io/lighthouse/viewer)
+app.get('/api/reports/:id/lhr', async (req, res) => {
+  try {
+    const lhr = await getLighthouseResult(req.params.id)
+    res.attachment(`${lighthouseFilename(lhr)}.json`).json(lhr)
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Lighthouse's own HTML report for a stored result (?download=1 saves instead of opening)
+app.get('/api/reports/:id/lighthouse.html', async (req, res) => {
+  try {
+    const lhr = await getLighthouseResult(req.params.id)
+    if (req.query.download) {
+      res.attachment(`${lighthouseFilename(lhr)}.html`)
     }
+    res.type('html').send(renderLighthouseHtml(lhr))
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
 
-    console.error('Unexpected error:', error)
-    res.status(500).json({
-      status: 'error',
-      message: error.message || 'Internal server error',
-      code: 'INTERNAL_ERROR'
+// Audits that can be reported as performance issues (the `audits` option) and the server's default selection
+app.get('/api/audits', (req, res) => {
+  try {
+    res.json({
+      status: 'success',
+      data: { supported: SUPPORTED_AUDITS, defaults: resolveAudits() }
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Preview a cookie jar (cookies.txt, JSON list or storageState) before analyzing with it
+// Body: { cookies }. Values are left out; the analysis request sends the jar itself.
+app.post('/api/auth/parse-cookies', (req, res) => {
+  try {
+    const { format, cookies, origins } = parseCookieJar(req.body?.cookies)
+
+    res.json({
+      status: 'success',
+      data: {
+        format,
+        count: cookies.length,
+        cookies: cookies.map(({ value, ...cookie }) => cookie),
+        origins: origins.map(entry => ({ origin: entry.origin, localStorageCount: entry.localStorage.length }))
+      }
     })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Preview what a copied cURL command will send (cookies and headers) before analyzing with it
+// Body: { curl }. Values are shortened; the analysis request sends the command itself.
+app.post('/api/auth/parse-curl', (req, res) => {
+  try {
+    const { format, url, method, cookies, headers, ignoredHeaders, warnings } = parseCurl(req.body?.curl)
+    const preview = value => value.length > 12 ? `${value.slice(0, 8)}…` : value
+
+    res.json({
+      status: 'success',
+      data: {
+        format,
+        url,
+        method,
+        cookies: cookies ? cookies.split(';').map(pair => pair.trim().split('=')[0]).filter(Boolean) : [],
+        headers: Object.entries(headers).map(([name, value]) => ({ name, value: preview(value) })),
+        ignoredHeaders,
+        warnings
+      }
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Check that auth reaches the logged-in page before spending a Lighthouse run on it
+// Body: { url, auth, setup, check: { urlPattern, selector, absentText }, deviceType }
+app.post('/api/auth/verify', async (req, res) => {
+  try {
+    const result = await verifyAuth(req.body || {})
+
+    res.json({
+      status: 'success',
+      message: result.loggedIn ? 'Logged in' : 'Not logged in',
+      data: result
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Import a Lighthouse JSON (DevTools, CLI or PageSpeed Insights) as a stored report
+// Body: the Lighthouse JSON itself, or { lhr, budgets, audits }
+app.post('/api/import', async (req, res) => {
+  try {
+    const { lhr, budgets, audits } = req.body?.lhr ? req.body : { lhr: req.body }
+
+    res.json({
+      status: 'success',
+      message: 'Lighthouse report imported',
+      data: await importReport(lhr, { budgets, audits })
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
+  }
+})
+
+// Compare two reports (e.g. downloaded before and after a deploy)
+app.post('/api/compare', (req, res) => {
+  try {
+    const { baseline, current } = req.body
+
+    res.json({
+      status: 'success',
+      data: compareReports(baseline, current)
+    })
+  } catch (error) {
+    sendErrorResponse(res, error)
   }
 })
 
@@ -0,0 +1,234 @@
+/**
+ * Analysis Service
+ * Runs a full analysis (URL validation → Lighthouse → report processing)
+ * Shared by the synchronous /api/analyze endpoint and the job queue
+ */
+
+import { validateURL, validateURLFormat, URLValidationError } from './urlValidator.js'
+import { analyzePerformance, verifyAuthentication, PerformanceAnalysisError } from './performanceAnalyzer.js'
+import { processReport } from './reportProcessor.js'
+import { createConcurrencyLimiter } from './concurrencyLimiter.js'
+import { saveReport } from './reportStore.js'
+import { computeRunStatistics } from './runStatistics.js'
+import { resolveBudgets, evaluateBudgets } from './budgetEvaluator.js'
+import { importLighthouseResult } from './lhrImporter.js'
+import { resolveSetupSteps, createSetupFunction } from './setupScript.js'
+
+// Each analysis launches its own Chromium on its own debugging port;
+// cap how many run at once on this instance
+const analysisLimiter = createConcurrencyLimiter({
+  maxConcurrent: Number(process.env.MAX_CONCURRENT_ANALYSES) || 2,
+  maxQueued: Number(process.env.MAX_QUEUED_ANALYSES) || 10
+})
+
+const MAX_RUNS = Number(process.env.MAX_RUNS) || 9
+
+/**
+ * Check if auth data is provided (for authenticated pages)
+ * @param {Object} auth - Authentication data from the request
+ * @returns {boolean}
+ */
+function hasAuthData(auth) {
+  return Boolean(auth && (
+    ['login', 'cookie-jar', 'curl'].includes(auth.type) ||
+    (auth.cookies && auth.cookies.length > 0) ||
+    (auth.localStorage && Object.keys(auth.localStorage).length > 0) ||
+    (auth.sessionStorage && Object.keys(auth.sessionStorage).length > 0)
+  ))
+}
+
+/**
+ * Run a complete analysis for one URL
+ * @param {Object} request - Analysis request (same shape as the /api/analyze body)
+ * @param {string} request.url - URL to analyze
+ * @param {string} request.deviceType - 'desktop' or 'mobile' (default: 'desktop')
+ * @param {string} request.networkThrottling - Network preset (default: '4g')
+ * @param {number} request.cpuThrottling - CPU slowdown multiplier (default: device's)
+ * @param {string} request.throttlingMethod - 'simulate', 'devtools' or 'provided'
+ * @param {Array<string>} request.categories - Lighthouse categories (performance, accessibility, best-practices, seo)
+ * @param {Array<string>} request.audits - Audits reported as performance issues (default: LIGHTHOUSE_AUDITS or the registry's defaults)
+ * @param {Array<Object>} request.interactions - Clicks, typing and scrolls replayed after load to measure INP (optional)
+ * @param {number} request.timeout - Max page load wait in milliseconds (default: 60000)
+ * @param {Object} request.auth - Authentication data, or a login form to sign in through (optional)
+ * @param {Object|Array<Object>} request.setup - Chrome DevTools Recorder export or Playwright step list run
+ *   before the analysis, e.g. an SSO login or cookie consent (optional)
+ * @param {Object|boolean} request.verifyAuth - Check the page is logged in before running Lighthouse and stop
+ *   with AUTH_FAILED if not ({ urlPattern, selector, absentText }, or true to only require no redirect)
+ * @param {number} request.runs - Lighthouse runs to aggregate (default: 1). With more than one,
+ *   the median run is reported and report.runs holds per-metric min/median/max/stddev
+ * @param {Array} request.budgets - Lighthouse-format budgets (optional, default: BUDGET_FILE)
+ * @param {Object} context - Execution context
+ * @param {AbortSignal} context.signal - Aborts the run (closes the browser)
+ * @param {Function} context.onProgress - Called with { phase, message, level } as the run advances
+ * @param {boolean} context.persist - Save the report to the report store (default: true)
+ * @returns {Promise<Object>} Processed report (with id and createdAt when persisted)
+ */
+async function runAnalysis(request, { signal = null, onProgress = null, persist = true } = {}) {
+  const {
+    url,
+    deviceType = 'desktop',
+    networkThrottling = '4g',
+    cpuThrottling = null, // null = device default (desktop 1x, mobile 4x)
+    throttlingMethod = 'simulate',
+    categories = ['performance'],
+    audits = null,
+    interactions = null,
+    timeout = 60000,
+    auth = null,
+    setup = null,
+    verifyAuth = null,
+    runs = 1,
+    budgets = null
+  } = request
+
+  const runCount = Number(runs)
+  if (!Number.isInteger(runCount) || runCount < 1 || runCount > MAX_RUNS) {
+    throw new PerformanceAnalysisError(`runs must be a whole number between 1 and ${MAX_RUNS}`, 'INVALID_RUNS', 400)
+  }
+
+  // Resolve budgets and the setup script up front so bad input fails before minutes of Lighthouse runs
+  const resolvedBudgets = await resolveBudgets(budgets)
+  const beforeAnalysis = setup ? createSetupFunction(resolveSetupSteps(setup)) : null
+
+  // A setup script usually signs in, so the page may not be public either
+  const hasAuth = hasAuthData(auth) || Boolean(beforeAnalysis)
+  const reportProgress = (phase, message) => onProgress?.({ phase, message, level: 'info' })
+
+  reportProgress('validation', 'Validating URL')
+
+  // Validate URL format and accessibility
+  // Skip accessibility check if auth data is provided (the page may require login)
+  const validationResult = await validateURL(url, {
+    timeout: 30000, // 30 seconds
+    checkAccessibility: !hasAuth // Skip accessibility check for authenticated pages
+  })
+
+  if (hasAuth) {
+    console.log(`🔒 Authentication data provided - skipping public accessibility check`)
+    if (auth) {
+      console.log(`   Auth contains: ${auth.cookies?.length || 0} cookies, ${Object.keys(auth.localStorage || {}).length} localStorage items`)
+    }
+  }
+
+  // URL is valid (format check passed), proceed with analysis
+  console.log(`Starting performance analysis for: ${validationResult.url}`)
+
+  // Log auth info if provided
+  if (auth) {
+    console.log(`🔒 Authentication enabled (type: ${auth.type})`)
+  }
+
+  // Each run waits for its own slot so a multi-run analysis doesn't starve other requests
+  const runOnce = (runIndex) => {
+    const { active, maxConcurrent } = analysisLimiter.stats()
+    if (active >= maxConcurrent) {
+      reportProgress('waiting', 'Waiting for a free browser slot')
+    }
+
+    // Prefix phase messages so the client can tell runs apart
+    const onRunProgress = runCount > 1 && onProgress
+      ? (progress) => onProgress({ ...progress, run: runIndex + 1, runs: runCount, message: `Run ${runIndex + 1}/${runCount}: ${progress.message}` })
+      : onProgress
+
+    return analysisLimiter.run(() => {
+      // The run may have been cancelled while waiting for a slot
+      if (signal?.aborted) {
+        throw new PerformanceAnalysisError('Analysis cancelled', 'CANCELLED', 409)
+      }
+
+      return analyzePerformance(validationResult.url, {
+        deviceType,
+        networkThrottling,
+        cpuThrottling,
+        throttlingMethod,
+        categories,
+        audits,
+        interactions,
+        timeout,
+        auth, // Pass auth data for authenticated page analysis
+        verifyAuth,
+        beforeAnalysis,
+        signal,
+        onProgress: onRunProgress
+      })
+    })
+  }
+
+  // Runs are sequential: parallel runs on one machine would skew each other's timings
+  const performanceRuns = []
+  for (let runIndex = 0; runIndex < runCount; runIndex++) {
+    performanceRuns.push(await runOnce(runIndex))
+  }
+
+  const runStatistics = runCount > 1 ? computeRunStatistics(performanceRuns) : null
+  const rawPerformanceData = performanceRuns[runStatistics?.medianRunIndex ?? 0]
+
+  if (runStatistics) {
+    console.log(`   📊 ${runCount} runs, median run #${runStatistics.medianRunIndex + 1} (scores: ${performanceRuns.map(run => run.score).join(', ')})`)
+  }
+
+  // Add original URL to raw data for processing (for redirect detection)
+  rawPerformanceData.originalUrl = validationResult.url
+
+  // Process raw data into structured report
+  reportProgress('processing', 'Generating report')
+  const report = processReport(rawPerformanceData)
+  report.meta.authenticated = Boolean(auth)
+  if (runStatistics) {
+    report.runs = runStatistics
+  }
+  report.budgets = evaluateBudgets(report, resolvedBudgets)
+  if (report.budgets && !report.budgets.passed) {
+    console.log(`   💸 ${report.budgets.failed} budget(s) exceeded`)
+  }
+
+  return persist ? saveReport(report, { lhr: rawPerformanceData.lhr }) : report
+}
+
+/**
+ * Check that auth reaches the logged-in page without running Lighthouse
+ * @param {Object} request - { url, auth, setup, check, deviceType } (auth and setup as for runAnalysis)
+ * @returns {Promise<Object>} { url, loggedIn, finalUrl, title, checks, screenshot }
+ */
+async function verifyAuth(request) {
+  const { url, auth = null, setup = null, check = null, deviceType = 'desktop' } = request
+
+  // Only the format: the page usually isn't reachable without the auth being checked
+  const formatResult = validateURLFormat(url)
+  if (!formatResult.isValid) {
+    throw new URLValidationError(formatResult.error, formatResult.code, 400)
+  }
+
+  const beforeAnalysis = setup ? createSetupFunction(resolveSetupSteps(setup)) : null
+
+  // Verification launches a browser too, so it shares the analyses' slots
+  return analysisLimiter.run(() => verifyAuthentication(formatResult.normalizedUrl, { deviceType, auth, beforeAnalysis, check }))
+}
+
+/**
+ * Build a report from an existing Lighthouse result (no browser run)
+ * @param {Object} document - LHR, PageSpeed Insights response or user flow result
+ * @param {Object} options
+ * @param {Array} options.budgets - Budgets to evaluate (defaults to BUDGET_FILE, as for analyses)
+ * @param {Array<string>} options.audits - Audits reported as performance issues (as for analyses)
+ * @param {boolean} options.persist - Save the report and LHR to the report store (default true)
+ * @returns {Promise<Object>} Processed report (with id and createdAt when persisted)
+ */
+async function importReport(document, { budgets = null, audits = null, persist = true } = {}) {
+  const resolvedBudgets = await resolveBudgets(budgets)
+  const { report, lhr } = importLighthouseResult(document, { audits })
+
+  report.budgets = evaluateBudgets(report, resolvedBudgets)
+
+  return persist ? saveReport(report, { lhr }) : report
+}
+
+/**
+ * Current load of the analysis limiter (for health checks)
+ * @returns {Object} { active, queued, maxConcurrent, maxQueued }
+ */
+function getAnalysisStats() {
+  return analysisLimiter.stats()
+}
+
+export { runAnalysis, verifyAuth, importReport, getAnalysisStats, MAX_RUNS }
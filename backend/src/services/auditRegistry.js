@@ -0,0 +1,184 @@
+/**
+ * Audit Registry
+ * The Lighthouse audits reported as issues and how to read their `details`.
+ * Audits describe their findings in different shapes (resource tables, DOM nodes,
+ * bfcache failure reasons, request chains, ...); each entry's extractor turns them
+ * into the same item shape so the report and UI don't need to know about them.
+ */
+
+// Item shape returned by every extractor (the issue's affected "files")
+function auditItem({ url = null, label = null, wastedBytes = 0, wastedMs = 0, transferSize = 0, note = null }) {
+  return { url, label, wastedBytes, wastedMs, transferSize, note }
+}
+
+// Cache lifetime as Lighthouse words it (0 means the response isn't cacheable)
+function formatTtl(ms) {
+  if (!ms) return 'No cache TTL'
+  const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]]
+  const [unit, size] = units.find(([, size]) => ms >= size) || units[units.length - 1]
+  return `Cache TTL ${Math.round(ms / size)}${unit}`
+}
+
+/**
+ * Resource tables (opportunities and most diagnostics): one row per URL
+ */
+function resourceItems(details) {
+  return (details?.items || []).map(item => auditItem({
+    url: item.url || item.source?.url || item.subItems?.items?.[0]?.url || null,
+    // duplicated-javascript names the module in `source`, render-blocking gives a label
+    label: item.label || (typeof item.source === 'string' ? item.source : null) || item.node?.nodeLabel || null,
+    wastedBytes: item.wastedBytes || item.totalBytes || 0,
+    wastedMs: item.wastedMs || 0,
+    transferSize: item.transferSize || 0,
+    note: item.protocol || null,
+  }))
+}
+
+/**
+ * uses-long-cache-ttl: static assets with their cache lifetime
+ */
+function cacheItems(details) {
+  return (details?.items || []).map(item => auditItem({
+    url: item.url,
+    wastedBytes: item.wastedBytes || 0,
+    transferSize: item.totalBytes || 0,
+    note: formatTtl(item.cacheLifetimeMs),
+  }))
+}
+
+/**
+ * DOM node tables (unsized-images, lcp-lazy-loaded, ...)
+ */
+function nodeItems(details) {
+  return (details?.items || []).map(item => auditItem({
+    url: item.url || null,
+    label: item.node?.nodeLabel || item.node?.snippet || null,
+    note: item.node?.selector || null,
+  }))
+}
+
+/**
+ * non-composited-animations: animated elements with why they can't run on the compositor
+ */
+function animationItems(details) {
+  return (details?.items || []).map(item => auditItem({
+    label: item.node?.nodeLabel || item.node?.snippet || null,
+    note: [...new Set((item.subItems?.items || []).map(subItem => subItem.failureReason))].join('; ') || null,
+  }))
+}
+
+/**
+ * bf-cache: reasons the page was excluded from the back/forward cache
+ */
+function bfCacheItems(details) {
+  return (details?.items || []).map(item => auditItem({
+    url: item.subItems?.items?.[0]?.frameUrl || null,
+    label: item.reason,
+    note: item.failureType || null,
+  }))
+}
+
+/**
+ * dom-size: total elements, maximum depth and maximum children
+ */
+function statisticItems(details) {
+  return (details?.items || []).map(item => auditItem({
+    label: item.node?.nodeLabel ? `${item.statistic} (${item.node.nodeLabel})` : item.statistic,
+    note: String(item.value?.value ?? item.value ?? ''),
+  }))
+}
+
+/**
+ * critical-request-chains: the chain tree flattened depth-first
+ */
+function chainItems(details) {
+  const items = []
+  const walk = (chains = {}, depth = 0) => {
+    Object.values(chains).forEach(({ request, children }) => {
+      items.push(auditItem({
+        url: request.url,
+        transferSize: request.transferSize || 0,
+        note: depth === 0 ? 'Chain start' : `Depth ${depth}`,
+      }))
+      walk(children, depth + 1)
+    })
+  }
+  walk(details?.chains)
+  return items
+}
+
+/**
+ * Supported audits
+ * - extract: turns the audit's details into items
+ * - default: reported unless the analysis asks for a specific list
+ * - found: for scoreless (informative) audits, whether their items are worth reporting
+ */
+const AUDIT_REGISTRY = {
+  // Opportunities
+  'render-blocking-resources': { extract: resourceItems, default: true },
+  'unused-css-rules': { extract: resourceItems, default: true },
+  'unused-javascript': { extract: resourceItems, default: true },
+  'modern-image-formats': { extract: resourceItems, default: true },
+  'offscreen-images': { extract: resourceItems, default: true },
+  'unminified-css': { extract: resourceItems, default: true },
+  'unminified-javascript': { extract: resourceItems, default: true },
+  'efficient-animated-content': { extract: resourceItems, default: true },
+  'duplicated-javascript': { extract: resourceItems, default: true },
+  'legacy-javascript': { extract: resourceItems, default: true },
+  'preload-lcp-image': { extract: resourceItems, default: true },
+  'uses-responsive-images': { extract: resourceItems, default: true },
+  'uses-optimized-images': { extract: resourceItems, default: true },
+  'uses-text-compression': { extract: resourceItems, default: true },
+  'uses-rel-preconnect': { extract: resourceItems, default: true },
+  'server-response-time': { extract: resourceItems, default: true },
+  'redirects': { extract: resourceItems, default: true },
+  'prioritize-lcp-image': { extract: nodeItems, default: false },
+  'third-party-facades': { extract: resourceItems, default: false },
+
+  // Diagnostics
+  'total-byte-weight': { extract: resourceItems, default: true },
+  'uses-http2': { extract: resourceItems, default: true },
+  'dom-size': { extract: statisticItems, default: true },
+  'uses-long-cache-ttl': { extract: cacheItems, default: true },
+  'font-display': { extract: resourceItems, default: true },
+  'bf-cache': { extract: bfCacheItems, default: true },
+  'unsized-images': { extract: nodeItems, default: true },
+  'non-composited-animations': { extract: animationItems, default: true, found: items => items.length > 0 },
+  // The navigation alone isn't a chain
+  'critical-request-chains': { extract: chainItems, default: true, found: items => items.length > 1 },
+  'lcp-lazy-loaded': { extract: nodeItems, default: false },
+  'bootup-time': { extract: resourceItems, default: false },
+  'mainthread-work-breakdown': { extract: resourceItems, default: false },
+  'third-party-summary': { extract: resourceItems, default: false },
+  'viewport': { extract: resourceItems, default: false },
+}
+
+const SUPPORTED_AUDITS = Object.keys(AUDIT_REGISTRY)
+
+const DEFAULT_AUDITS = SUPPORTED_AUDITS.filter(id => AUDIT_REGISTRY[id].default)
+
+/**
+ * Items of an audit, read with its registered extractor
+ * Unregistered audits (e.g. accessibility) fall back to the resource table reader
+ * @param {Object} audit - Lighthouse audit result
+ * @returns {Array<Object>} Items with url, label, wastedBytes, wastedMs, transferSize and note
+ */
+function extractAuditItems(audit) {
+  const extract = AUDIT_REGISTRY[audit.id]?.extract || resourceItems
+  return extract(audit.details)
+}
+
+/**
+ * Whether an audit should be reported as an issue
+ * @param {Object} audit - Lighthouse audit result
+ * @returns {boolean} True when it failed (or, for informative audits, found something)
+ */
+function isAuditFailed(audit) {
+  if (audit.score === null) {
+    const found = AUDIT_REGISTRY[audit.id]?.found
+    return Boolean(found && found(extractAuditItems(audit)))
+  }
+  return audit.score < 1
+}
+
+export { AUDIT_REGISTRY, SUPPORTED_AUDITS, DEFAULT_AUDITS, extractAuditItems, isAuditFailed }
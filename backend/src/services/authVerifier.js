@@ -0,0 +1,189 @@
+/**
+ * Auth Verifier
+ * Loads the target page with the supplied auth in a Playwright context and checks that it shows
+ * the logged-in page, so a broken session is caught before a full Lighthouse run audits a login page.
+ * Success rules: the URL contains a pattern (* matches anything), a selector is present, a text (e.g. "Sign in") is absent.
+ * Without rules, the page must not redirect away from the requested URL.
+ */
+
+// Max wait for the page and for the success selector
+const VERIFY_TIMEOUT_MS = 30000
+
+// Longest text shown in a check result
+const MAX_DETAIL_LENGTH = 120
+
+// Longest accepted urlPattern
+const MAX_URL_PATTERN_LENGTH = 500
+
+/**
+ * Custom error class for auth verification errors
+ * `details` carries the verification result when the check failed (AUTH_FAILED).
+ */
+class AuthVerificationError extends Error {
+  constructor(message, code, statusCode = 400, details = null) {
+    super(message)
+    this.name = 'AuthVerificationError'
+    this.code = code
+    this.statusCode = statusCode
+    this.details = details
+  }
+}
+
+/**
+ * Validate the success rules
+ * @param {Object|boolean} check - { urlPattern, selector, absentText }, or true for the default rule
+ * @returns {Object} Normalized rules (unset rules are null)
+ */
+function resolveAuthCheck(check) {
+  if (check === true || check === null || check === undefined) {
+    return { urlPattern: null, selector: null, absentText: null }
+  }
+  if (typeof check !== 'object' || Array.isArray(check)) {
+    throw new AuthVerificationError('The auth check must be an object with urlPattern, selector or absentText', 'INVALID_AUTH_CHECK')
+  }
+
+  const rules = Object.fromEntries(['urlPattern', 'selector', 'absentText'].map(key => {
+    const value = check[key]
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw new AuthVerificationError(`auth check ${key} must be a string`, 'INVALID_AUTH_CHECK')
+    }
+    return [key, value?.trim() || null]
+  }))
+
+  if (rules.urlPattern && rules.urlPattern.length > MAX_URL_PATTERN_LENGTH) {
+    throw new AuthVerificationError(`auth check urlPattern must be at most ${MAX_URL_PATTERN_LENGTH} characters`, 'INVALID_AUTH_CHECK')
+  }
+
+  return rules
+}
+
+/**
+ * Whether a URL contains a pattern, where * matches any run of characters
+ * Matched part by part with indexOf (no regex), so a pattern can't make the check slow.
+ * @param {string} url - URL to test
+ * @param {string} pattern - e.g. "/dashboard" or "/reports?tab=*"
+ * @returns {boolean}
+ */
+function matchesUrlPattern(url, pattern) {
+  let position = 0
+  return pattern.split('*').every(part => {
+    const found = url.indexOf(part, position)
+    if (found === -1) return false
+    position = found + part.length
+    return true
+  })
+}
+
+/**
+ * Whether two URLs point to the same page (origin and path, ignoring a trailing slash)
+ * @param {string} requested - URL that was loaded
+ * @param {string} final - URL the page ended on
+ * @returns {boolean}
+ */
+function isSamePage(requested, final) {
+  try {
+    const normalize = (value) => {
+      const parsed = new URL(value)
+      return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`
+    }
+    return normalize(requested) === normalize(final)
+  } catch {
+    return false
+  }
+}
+
+function shorten(text) {
+  return text.length > MAX_DETAIL_LENGTH ? `${text.slice(0, MAX_DETAIL_LENGTH)}…` : text
+}
+
+/**
+ * Load the page with the auth applied and evaluate the success rules
+ * @param {Browser} browser - Playwright browser
+ * @param {string} url - Page to load
+ * @param {Object} check - Normalized rules (from resolveAuthCheck)
+ * @param {Object} options
+ * @param {Object} options.contextOptions - Playwright context options (viewport, extra headers)
+ * @param {Array<Object>} options.cookies - Cookies to add to the context
+ * @param {Object} options.storage - { localStorage, sessionStorage } set before the page's scripts run
+ * @param {boolean} options.screenshot - Capture the page (base64 JPEG)
+ * @returns {Promise<Object>} { loggedIn, finalUrl, title, checks: [{ rule, passed, detail }], screenshot }
+ */
+async function checkAuthentication(browser, url, check, { contextOptions = {}, cookies = [], storage = {}, screenshot = true } = {}) {
+  const context = await browser.newContext(contextOptions)
+
+  try {
+    if (cookies.length > 0) {
+      await context.addCookies(cookies)
+    }
+    if (storage.localStorage || storage.sessionStorage) {
+      await context.addInitScript(({ localStorage: local = {}, sessionStorage: session = {} }) => {
+        Object.entries(local).forEach(([key, value]) => window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value)))
+        Object.entries(session).forEach(([key, value]) => window.sessionStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value)))
+      }, storage)
+    }
+
+    const page = await context.newPage()
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: VERIFY_TIMEOUT_MS })
+    // SPAs often redirect to their login page only after their scripts ran
+    await page.waitForLoadState('networkidle', { timeout: VERIFY_TIMEOUT_MS }).catch(() => {})
+
+    const finalUrl = page.url()
+    const checks = []
+
+    if (check.urlPattern) {
+      const matches = matchesUrlPattern(finalUrl, check.urlPattern)
+      checks.push({
+        rule: 'urlPattern',
+        passed: matches,
+        detail: `${finalUrl} ${matches ? 'matches' : 'does not match'} ${check.urlPattern}`,
+      })
+    }
+
+    if (check.selector) {
+      const found = await page.locator(check.selector).first()
+        .waitFor({ state: 'visible', timeout: VERIFY_TIMEOUT_MS / 3 })
+        .then(() => true, () => false)
+      checks.push({
+        rule: 'selector',
+        passed: found,
+        detail: found ? `Found ${check.selector}` : `${check.selector} is not on the page`,
+      })
+    }
+
+    if (check.absentText) {
+      const text = await page.evaluate(() => document.body?.innerText || '').catch(() => '')
+      const present = text.toLowerCase().includes(check.absentText.toLowerCase())
+      checks.push({
+        rule: 'absentText',
+        passed: !present,
+        detail: present ? `The page shows "${shorten(check.absentText)}"` : `"${shorten(check.absentText)}" is not on the page`,
+      })
+    }
+
+    // Without rules, being redirected (usually to a login page) means the auth didn't work
+    if (checks.length === 0) {
+      const samePage = isSamePage(url, finalUrl)
+      checks.push({
+        rule: 'noRedirect',
+        passed: samePage,
+        detail: samePage ? 'Stayed on the requested page' : `Redirected to ${finalUrl}`,
+      })
+    }
+
+    const capture = screenshot
+      ? (await page.screenshot({ type: 'jpeg', quality: 70, fullPage: false }).catch(() => null))?.toString('base64') || null
+      : null
+
+    return {
+      loggedIn: checks.every(result => result.passed),
+      finalUrl,
+      title: await page.title().catch(() => ''),
+      checks,
+      screenshot: capture,
+    }
+  } finally {
+    await context.close().catch(() => {})
+  }
+}
+
+export { resolveAuthCheck, checkAuthentication, AuthVerificationError }
@@ -0,0 +1,170 @@
+/**
+ * Budget Evaluation Service
+ * Checks a processed report against performance budgets
+ *
+ * Budgets use Lighthouse's budget.json format (https://web.dev/use-lighthouse-for-performance-budgets/):
+ *   [{ "path": "/*", "timings": [{ "metric": "largest-contentful-paint", "budget": 2500 }],
+ *      "resourceSizes": [{ "resourceType": "script", "budget": 300 }],      // KB
+ *      "resourceCounts": [{ "resourceType": "image", "budget": 40 }] }]
+ * The last budget whose path matches the analyzed URL applies, as in Lighthouse.
+ *
+ * Budgets come from the request or, when the request has none, from BUDGET_FILE.
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import { Budget } from 'lighthouse/core/config/budget.js'
+import { formatTime, formatBytes } from './reportProcessor.js'
+
+const BUDGET_FILE = process.env.BUDGET_FILE ? path.resolve(process.env.BUDGET_FILE) : null
+
+class BudgetError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'BudgetError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+// Lighthouse timing metric → where the processed report keeps it
+// (the report doesn't keep first-meaningful-paint or max-potential-fid; those show as not measured)
+const TIMING_METRICS = {
+  'largest-contentful-paint': { group: 'webVitals', key: 'lcp', label: 'Largest Contentful Paint' },
+  'cumulative-layout-shift': { group: 'webVitals', key: 'cls', label: 'Cumulative Layout Shift' },
+  'first-contentful-paint': { group: 'metrics', key: 'fcp', label: 'First Contentful Paint' },
+  'total-blocking-time': { group: 'metrics', key: 'tbt', label: 'Total Blocking Time' },
+  'speed-index': { group: 'metrics', key: 'si', label: 'Speed Index' },
+  interactive: { group: 'metrics', key: 'tti', label: 'Time to Interactive' },
+}
+
+const RESOURCE_LABELS = {
+  total: 'Total',
+  document: 'Document',
+  script: 'JavaScript',
+  stylesheet: 'CSS',
+  image: 'Images',
+  media: 'Media',
+  font: 'Fonts',
+  other: 'Other',
+  'third-party': 'Third-party',
+}
+
+/**
+ * Validate budgets (Lighthouse's own validation, so files work with both tools)
+ * @param {Array} budgets - Budget JSON
+ * @param {string} source - Where the budgets came from (for error messages)
+ * @returns {Array} Normalized budgets
+ */
+function parseBudgets(budgets, source) {
+  try {
+    return Budget.initializeBudget(budgets)
+  } catch (error) {
+    throw new BudgetError(`Invalid budgets (${source}): ${error.message}`, 'INVALID_BUDGET', 400)
+  }
+}
+
+/**
+ * Budgets that apply to an analysis
+ * @param {Array} requestBudgets - Budgets sent with the request (optional)
+ * @returns {Promise<Object|null>} { source: 'request'|'file', budgets } or null when none are configured
+ */
+async function resolveBudgets(requestBudgets) {
+  if (requestBudgets !== undefined && requestBudgets !== null) {
+    return { source: 'request', budgets: parseBudgets(requestBudgets, 'request') }
+  }
+
+  if (!BUDGET_FILE) return null
+
+  let fileContents
+  try {
+    // Read on every analysis so edits apply without a restart
+    fileContents = await fs.readFile(BUDGET_FILE, 'utf8')
+  } catch (error) {
+    throw new BudgetError(`Could not read budget file ${BUDGET_FILE}: ${error.message}`, 'BUDGET_FILE_ERROR', 500)
+  }
+
+  let json
+  try {
+    json = JSON.parse(fileContents)
+  } catch (error) {
+    throw new BudgetError(`Budget file ${BUDGET_FILE} is not valid JSON: ${error.message}`, 'INVALID_BUDGET', 500)
+  }
+
+  return { source: 'file', budgets: parseBudgets(json, BUDGET_FILE) }
+}
+
+function buildResult(kind, id, label, actual, limit, format) {
+  const measured = actual !== null && actual !== undefined
+  const pass = measured ? actual <= limit : null
+  return {
+    kind,
+    id,
+    label,
+    actual: measured ? actual : null,
+    limit,
+    actualFormatted: measured ? format(actual) : 'N/A',
+    limitFormatted: format(limit),
+    pass,
+    overBy: pass === false ? actual - limit : 0,
+    overByFormatted: pass === false ? format(actual - limit) : null,
+  }
+}
+
+/**
+ * Evaluate a report against the budget matching its URL
+ * @param {Object} report - Processed report
+ * @param {Object} resolved - Result of resolveBudgets
+ * @returns {Object|null} { source, path, passed, failed, results } or null when no budget matches the URL
+ */
+function evaluateBudgets(report, resolved) {
+  if (!resolved) return null
+
+  const budget = Budget.getMatchingBudget(resolved.budgets, report.originalUrl || report.url)
+  if (!budget) return null
+
+  const resources = new Map((report.network?.resourceSummary || []).map(item => [item.resourceType, item]))
+  const formatTiming = (metric) => metric === 'cumulative-layout-shift'
+    ? (value) => value.toFixed(3)
+    : formatTime
+
+  const results = [
+    ...(budget.timings || []).map(({ metric, budget: limit }) => {
+      const target = TIMING_METRICS[metric]
+      const actual = target ? report[target.group]?.[target.key]?.value : null
+      return buildResult('timing', metric, target?.label || metric, actual, limit, formatTiming(metric))
+    }),
+    ...(budget.resourceSizes || []).map(({ resourceType, budget: limitKb }) =>
+      buildResult(
+        'resourceSize',
+        resourceType,
+        RESOURCE_LABELS[resourceType],
+        resources.get(resourceType)?.transferSize ?? 0,
+        limitKb * 1024,
+        formatBytes
+      )
+    ),
+    ...(budget.resourceCounts || []).map(({ resourceType, budget: limit }) =>
+      buildResult(
+        'resourceCount',
+        resourceType,
+        RESOURCE_LABELS[resourceType],
+        resources.get(resourceType)?.requestCount ?? 0,
+        limit,
+        (value) => `${value} request${value === 1 ? '' : 's'}`
+      )
+    ),
+  ]
+
+  const failed = results.filter(result => result.pass === false).length
+
+  return {
+    source: resolved.source,
+    path: budget.path,
+    passed: failed === 0,
+    failed,
+    results,
+  }
+}
+
+export { resolveBudgets, evaluateBudgets, BudgetError }
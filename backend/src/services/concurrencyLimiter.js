@@ -0,0 +1,76 @@
+/**
+ * Concurrency Limiter Service
+ * Caps how many analyses (each one a Chromium + Lighthouse run) execute at once
+ * so a shared server instance isn't overwhelmed when several people click Analyze
+ */
+
+class ConcurrencyLimitError extends Error {
+  constructor(message, code = 'SERVER_BUSY', statusCode = 503) {
+    super(message)
+    this.name = 'ConcurrencyLimitError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Create a limiter that runs at most `maxConcurrent` tasks at a time.
+ * Extra tasks wait in a FIFO queue; once `maxQueued` tasks are waiting, new ones are rejected.
+ *
+ * @param {Object} options
+ * @param {number} options.maxConcurrent - Tasks allowed to run at once (default: 2)
+ * @param {number} options.maxQueued - Tasks allowed to wait (default: 10)
+ * @returns {Object} { run, stats }
+ *
+ * @example
+ * const limiter = createConcurrencyLimiter({ maxConcurrent: 2 })
+ * const result = await limiter.run(() => analyzePerformance(url, options))
+ */
+function createConcurrencyLimiter({ maxConcurrent = 2, maxQueued = 10 } = {}) {
+  let active = 0
+  const queue = []
+
+  const next = () => {
+    if (active >= maxConcurrent || queue.length === 0) return
+
+    const { task, resolve, reject } = queue.shift()
+    active++
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   */
+  const run = (task) => {
+    if (active >= maxConcurrent && queue.length >= maxQueued) {
+      return Promise.reject(new ConcurrencyLimitError(
+        `Server is busy (${active} analyses running, ${queue.length} waiting). Please try again shortly.`
+      ))
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      next()
+    })
+  }
+
+  const stats = () => ({
+    active,
+    queued: queue.length,
+    maxConcurrent,
+    maxQueued,
+  })
+
+  return { run, stats }
+}
+
+export { createConcurrencyLimiter, ConcurrencyLimitError }
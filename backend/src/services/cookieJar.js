@@ -0,0 +1,156 @@
+/**
+ * Cookie Jar
+ * Reads exported cookie jars with all their attributes, so HttpOnly session cookies (which
+ * `document.cookie` and the bookmarklet can't see) can be used for authenticated analyses.
+ * Formats: Netscape cookies.txt (curl, wget, browser extensions), JSON cookie lists (DevTools /
+ * CDP `Network.getAllCookies`, EditThisCookie-style extensions) and Playwright `storageState`.
+ */
+
+const MAX_COOKIES = 500
+
+// Extension exports use lower-case names; Chrome and Playwright want these
+const SAME_SITE_VALUES = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None',
+}
+
+/**
+ * Custom error class for cookie jar errors
+ */
+class CookieJarError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'CookieJarError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Normalize one cookie to the Playwright shape (also accepted by CDP)
+ * @param {Object} cookie - Cookie from any supported format
+ * @param {string} label - Position for error messages
+ * @returns {Object} { name, value, domain, path, expires, httpOnly, secure, sameSite }
+ */
+function normalizeCookie(cookie, label) {
+  if (!cookie || typeof cookie !== 'object') {
+    throw new CookieJarError(`${label} is not a cookie object`, 'INVALID_COOKIES')
+  }
+  if (typeof cookie.name !== 'string' || !cookie.name) {
+    throw new CookieJarError(`${label} has no name`, 'INVALID_COOKIES')
+  }
+  if (typeof cookie.domain !== 'string' || !cookie.domain) {
+    throw new CookieJarError(`${label} (${cookie.name}) has no domain`, 'INVALID_COOKIES')
+  }
+
+  // CDP uses `expires`, extensions `expirationDate` (both seconds); session cookies have neither
+  const expires = Number(cookie.expires ?? cookie.expirationDate)
+  const sameSite = SAME_SITE_VALUES[String(cookie.sameSite || '').toLowerCase()]
+
+  return {
+    name: cookie.name,
+    value: String(cookie.value ?? ''),
+    // Host-only cookies are exported without the leading dot, domain cookies with it
+    domain: cookie.hostOnly === false && !cookie.domain.startsWith('.') ? `.${cookie.domain}` : cookie.domain,
+    path: cookie.path || '/',
+    expires: !cookie.session && expires > 0 ? expires : -1,
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    ...(sameSite && { sameSite }),
+  }
+}
+
+/**
+ * Parse a Netscape cookies.txt file
+ * Lines are: domain, include-subdomains flag, path, secure flag, expiry, name, value (tab-separated).
+ * `#HttpOnly_` in front of the domain marks HttpOnly cookies; other `#` lines are comments.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Normalized cookies
+ */
+function parseNetscape(text) {
+  return text.split(/\r?\n/).flatMap((line, index) => {
+    const httpOnly = line.startsWith('#HttpOnly_')
+    const entry = httpOnly ? line.slice('#HttpOnly_'.length) : line
+    if (!entry.trim() || entry.startsWith('#')) return []
+
+    const fields = entry.split('\t')
+    if (fields.length < 7) {
+      throw new CookieJarError(`cookies.txt line ${index + 1} needs 7 tab-separated fields`, 'INVALID_COOKIES')
+    }
+
+    const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields
+    return [normalizeCookie({
+      domain,
+      hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+      path,
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: Number(expires),
+      name,
+      value: value.join('\t'),
+      httpOnly,
+    }, `cookies.txt line ${index + 1}`)]
+  })
+}
+
+// A jar must hold at least one cookie, and not an unreasonable number
+function withLimit(jar) {
+  if (jar.cookies.length === 0) {
+    throw new CookieJarError('The cookie jar has no cookies', 'INVALID_COOKIES')
+  }
+  if (jar.cookies.length > MAX_COOKIES) {
+    throw new CookieJarError(`At most ${MAX_COOKIES} cookies are supported`, 'INVALID_COOKIES')
+  }
+  return jar
+}
+
+/**
+ * Parse a cookie jar in any supported format
+ * @param {string|Array|Object} input - File contents, or already-parsed JSON
+ * @returns {Object} { format: 'netscape'|'json'|'storageState', cookies, origins }
+ *   (origins holds storageState's localStorage per origin, empty for the other formats)
+ */
+function parseCookieJar(input) {
+  let data = input
+
+  if (typeof input === 'string') {
+    const text = input.trim()
+    if (!text) {
+      throw new CookieJarError('The cookie jar is empty', 'INVALID_COOKIES')
+    }
+    if (text.startsWith('{') || text.startsWith('[')) {
+      try {
+        data = JSON.parse(text)
+      } catch (error) {
+        throw new CookieJarError(`Invalid cookie JSON: ${error.message}`, 'INVALID_COOKIES')
+      }
+    } else {
+      return withLimit({ format: 'netscape', cookies: parseNetscape(text), origins: [] })
+    }
+  }
+
+  if (Array.isArray(data)) {
+    return withLimit({
+      format: 'json',
+      cookies: data.map((cookie, index) => normalizeCookie(cookie, `Cookie ${index + 1}`)),
+      origins: [],
+    })
+  }
+
+  // DevTools protocol responses wrap the list in { cookies }; storageState adds origins
+  if (Array.isArray(data?.cookies)) {
+    return withLimit({
+      format: Array.isArray(data.origins) ? 'storageState' : 'json',
+      cookies: data.cookies.map((cookie, index) => normalizeCookie(cookie, `Cookie ${index + 1}`)),
+      origins: (data.origins || []).filter(entry => typeof entry?.origin === 'string' && Array.isArray(entry.localStorage)),
+    })
+  }
+
+  throw new CookieJarError(
+    'Unrecognized cookie jar: use a Netscape cookies.txt, a JSON cookie list or a Playwright storageState',
+    'INVALID_COOKIES'
+  )
+}
+
+export { parseCookieJar, CookieJarError }
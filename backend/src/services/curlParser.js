@@ -0,0 +1,262 @@
+/**
+ * cURL Parser
+ * Reads a browser's "Copy as cURL" command (bash or Windows cmd flavour) and extracts what an
+ * authenticated analysis needs: cookies and the Authorization header. Browser-managed headers
+ * (User-Agent, Accept, sec-fetch-*, ...) are left out so they don't override what Lighthouse's
+ * emulation sends. Custom headers (API keys, CSRF tokens) are reported but not sent: Lighthouse
+ * adds extra headers to every request, third-party origins included.
+ */
+
+// Headers the browser sets itself for every request; replaying them would conflict with the run
+const BROWSER_HEADERS = [
+  'host', 'connection', 'content-length', 'content-type', 'accept', 'accept-encoding', 'accept-language',
+  'user-agent', 'referer', 'origin', 'cache-control', 'pragma', 'priority', 'upgrade-insecure-requests',
+  'if-none-match', 'if-modified-since', 'dnt', 'te',
+]
+
+const BROWSER_HEADER_PREFIXES = ['sec-ch-', 'sec-fetch-']
+
+// Options whose value is the next argument but isn't needed for the analysis
+const IGNORED_VALUE_OPTIONS = [
+  '-X', '--request', '-d', '--data', '--data-raw', '--data-binary', '--data-urlencode', '--data-ascii',
+  '-F', '--form', '-o', '--output', '-x', '--proxy', '-e', '--referer', '-A', '--user-agent',
+  '-m', '--max-time', '--connect-timeout', '-w', '--write-out', '--cacert', '--cert', '--key',
+]
+
+/**
+ * Custom error class for cURL import errors
+ */
+class CurlImportError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'CurlImportError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Split a bash command into arguments
+ * Supports '...', "..." (with \ escapes), $'...' (ANSI-C escapes, used by Chrome for
+ * special characters) and backslash line continuations.
+ * @param {string} command - Command line
+ * @returns {Array<string>} Arguments
+ */
+function tokenizeBash(command) {
+  const args = []
+  let current = null
+  let index = 0
+
+  const append = (text) => { current = (current ?? '') + text }
+  const ansiEscapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', '?': '?', a: '\x07', b: '\b', e: '\x1b', f: '\f', v: '\v' }
+
+  while (index < command.length) {
+    const char = command[index]
+
+    if (/\s/.test(char)) {
+      if (current !== null) args.push(current)
+      current = null
+      index++
+    } else if (char === '\\') {
+      // Line continuation, or an escaped character outside quotes
+      const next = command[index + 1]
+      if (next === '\n' || next === '\r') {
+        index += command[index + 2] === '\n' && next === '\r' ? 3 : 2
+      } else {
+        append(next ?? '')
+        index += 2
+      }
+    } else if (char === '$' && command[index + 1] === "'") {
+      index += 2
+      let text = ''
+      while (index < command.length && command[index] !== "'") {
+        if (command[index] === '\\') {
+          const next = command[index + 1]
+          const hex = next === 'x' ? command.slice(index + 2).match(/^[0-9a-fA-F]{1,2}/) : null
+          const unicode = next === 'u' ? command.slice(index + 2).match(/^[0-9a-fA-F]{1,4}/) : null
+          if (hex) {
+            text += String.fromCharCode(parseInt(hex[0], 16))
+            index += 2 + hex[0].length
+          } else if (unicode) {
+            text += String.fromCharCode(parseInt(unicode[0], 16))
+            index += 2 + unicode[0].length
+          } else {
+            text += ansiEscapes[next] ?? `\\${next}`
+            index += 2
+          }
+        } else {
+          text += command[index++]
+        }
+      }
+      append(text)
+      index++
+    } else if (char === "'") {
+      const end = command.indexOf("'", index + 1)
+      if (end === -1) throw new CurlImportError('Unterminated single quote in the cURL command', 'INVALID_CURL')
+      append(command.slice(index + 1, end))
+      index = end + 1
+    } else if (char === '"') {
+      index++
+      let text = ''
+      while (index < command.length && command[index] !== '"') {
+        if (command[index] === '\\' && ['"', '\\', '$', '`', '\n'].includes(command[index + 1])) {
+          if (command[index + 1] !== '\n') text += command[index + 1]
+          index += 2
+        } else {
+          text += command[index++]
+        }
+      }
+      if (index >= command.length) throw new CurlImportError('Unterminated double quote in the cURL command', 'INVALID_CURL')
+      append(text)
+      index++
+    } else {
+      append(char)
+      index++
+    }
+  }
+
+  if (current !== null) args.push(current)
+  return args
+}
+
+/**
+ * Split a Windows cmd command into arguments
+ * Chrome escapes everything with ^ for cmd.exe and \ for the program's own argument parser,
+ * and continues lines with " ^". Older exports doubled quotes ("") instead.
+ * @param {string} command - Command line
+ * @returns {Array<string>} Arguments
+ */
+function tokenizeCmd(command) {
+  // cmd.exe level: escaped newlines, line continuations, then ^-escaped characters
+  const unescaped = command
+    .replace(/\^\r?\n\r?\n/g, '\n')
+    .replace(/\s\^\r?\n/g, ' ')
+    .replace(/\^([\s\S])/g, '$1')
+
+  // Argument parser level: "..." with \" and \\ (or "") inside
+  const args = []
+  let current = null
+  let inQuotes = false
+
+  for (let index = 0; index < unescaped.length; index++) {
+    const char = unescaped[index]
+    const next = unescaped[index + 1]
+
+    if (inQuotes && char === '\\' && (next === '"' || next === '\\')) {
+      current = (current ?? '') + next
+      index++
+    } else if (inQuotes && char === '"' && next === '"') {
+      current = (current ?? '') + '"'
+      index++
+    } else if (char === '"') {
+      inQuotes = !inQuotes
+      current = current ?? ''
+    } else if (!inQuotes && /\s/.test(char)) {
+      if (current !== null) args.push(current)
+      current = null
+    } else {
+      current = (current ?? '') + char
+    }
+  }
+
+  if (inQuotes) throw new CurlImportError('Unterminated quote in the cURL command', 'INVALID_CURL')
+  if (current !== null) args.push(current)
+  return args
+}
+
+/**
+ * Whether a header is one the browser manages itself
+ * @param {string} name - Lower-case header name
+ * @returns {boolean}
+ */
+function isBrowserHeader(name) {
+  return BROWSER_HEADERS.includes(name) || BROWSER_HEADER_PREFIXES.some(prefix => name.startsWith(prefix))
+}
+
+/**
+ * Parse a "Copy as cURL" command
+ * @param {string} command - cURL command (bash or cmd)
+ * @returns {Object} { format, url, method, cookies, headers, ignoredHeaders, warnings }
+ *   cookies is a "name=value; ..." string, headers holds the lower-cased authorization header if any
+ */
+function parseCurl(command) {
+  if (typeof command !== 'string' || !command.trim()) {
+    throw new CurlImportError('Paste a cURL command', 'INVALID_CURL')
+  }
+
+  const text = command.trim()
+  // Chrome's cmd flavour wraps every argument in ^"...^" and continues lines with " ^"
+  const format = /\^"|\s\^\r?\n/.test(text) ? 'cmd' : 'bash'
+  const args = format === 'cmd' ? tokenizeCmd(text) : tokenizeBash(text)
+
+  if (!/^curl(\.exe)?$/i.test(args[0] || '')) {
+    throw new CurlImportError('Not a cURL command: it should start with "curl"', 'INVALID_CURL')
+  }
+
+  let url = null
+  let method = 'GET'
+  const cookieParts = []
+  const headers = {}
+  const ignoredHeaders = []
+  const customHeaders = []
+
+  for (let index = 1; index < args.length; index++) {
+    const arg = args[index]
+    const value = () => {
+      if (index + 1 >= args.length) throw new CurlImportError(`${arg} needs a value`, 'INVALID_CURL')
+      return args[++index]
+    }
+
+    if (arg === '-H' || arg === '--header') {
+      const header = value()
+      const separator = header.indexOf(':')
+      if (separator <= 0) continue
+      const name = header.slice(0, separator).trim().toLowerCase()
+      const headerValue = header.slice(separator + 1).trim()
+
+      if (name === 'cookie') {
+        cookieParts.push(headerValue)
+      } else if (isBrowserHeader(name)) {
+        ignoredHeaders.push(name)
+      } else if (name === 'authorization') {
+        headers.authorization = headerValue
+      } else {
+        customHeaders.push(name)
+      }
+    } else if (arg === '-b' || arg === '--cookie') {
+      const cookie = value()
+      // Without "=" the value is a cookie file on the copier's machine
+      if (cookie.includes('=')) cookieParts.push(cookie)
+    } else if (arg === '-u' || arg === '--user') {
+      headers.authorization = `Basic ${Buffer.from(value()).toString('base64')}`
+    } else if (arg === '--url') {
+      url = value()
+    } else if (arg === '-X' || arg === '--request') {
+      method = value().toUpperCase()
+    } else if (IGNORED_VALUE_OPTIONS.includes(arg)) {
+      value()
+    } else if (!arg.startsWith('-') && !url) {
+      url = arg
+    }
+  }
+
+  if (!url) {
+    throw new CurlImportError('The cURL command has no URL', 'INVALID_CURL')
+  }
+
+  const unsent = [...new Set(customHeaders)]
+
+  return {
+    format,
+    url,
+    method,
+    cookies: cookieParts.map(part => part.trim().replace(/;$/, '')).filter(Boolean).join('; '),
+    headers,
+    ignoredHeaders: [...new Set([...ignoredHeaders, ...unsent])],
+    warnings: unsent.length > 0
+      ? [`Not sending ${unsent.join(', ')}: custom headers would go to every site the page loads from, not just ${url}`]
+      : [],
+  }
+}
+
+export { parseCurl, CurlImportError }
@@ -0,0 +1,298 @@
+/**
+ * HTML Report Service
+ * Renders a processed report as a single self-contained HTML page
+ * (used by the CLI's --output report.html; no external assets so it can be archived as a CI artifact)
+ * and a stored Lighthouse result with Lighthouse's own report renderer
+ */
+
+import { ReportGenerator } from 'lighthouse/report/generator/report-generator.js'
+import { getFilenamePrefix } from 'lighthouse/report/generator/file-namer.js'
+
+const STATUS_COLORS = {
+  good: '#22c55e',
+  'needs-improvement': '#f59e0b',
+  poor: '#ef4444',
+  unknown: '#94a3b8',
+}
+
+const VITAL_LABELS = {
+  lcp: 'Largest Contentful Paint',
+  inp: 'Interaction to Next Paint',
+  cls: 'Cumulative Layout Shift',
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function scoreStatus(score) {
+  if (score >= 90) return 'good'
+  if (score >= 50) return 'needs-improvement'
+  return 'poor'
+}
+
+function metricRows(entries, spreads = {}) {
+  return Object.entries(entries || {}).map(([key, metric]) => {
+    const spread = spreads?.[key]
+    return `
+      <tr>
+        <td>${escapeHtml(metric.label || VITAL_LABELS[key] || key.toUpperCase())}</td>
+        <td class="mono">${escapeHtml(metric.valueFormatted)}</td>
+        <td><span class="status" style="color:${STATUS_COLORS[metric.status] || STATUS_COLORS.unknown}">${escapeHtml(metric.status)}</span></td>
+        <td class="mono muted">${spread ? `${escapeHtml(spread.minFormatted)} – ${escapeHtml(spread.maxFormatted)} (σ ${escapeHtml(spread.stddevFormatted)})` : ''}</td>
+      </tr>`
+  }).join('')
+}
+
+function budgetSection(budgets) {
+  if (!budgets) return ''
+
+  const rows = budgets.results.map(result => `
+      <tr>
+        <td>${escapeHtml(result.label)}</td>
+        <td class="mono">${escapeHtml(result.actualFormatted)}</td>
+        <td class="mono muted">${escapeHtml(result.limitFormatted)}</td>
+        <td class="${result.pass === false ? 'fail' : result.pass ? 'pass' : 'muted'}">
+          ${result.pass === null ? 'not measured' : result.pass ? 'pass' : `over by ${escapeHtml(result.overByFormatted)}`}
+        </td>
+      </tr>`).join('')
+
+  return `
+    <section>
+      <h2>Budget <span class="muted mono">${escapeHtml(budgets.path)}</span>
+        <span class="${budgets.passed ? 'pass' : 'fail'}">${budgets.passed ? 'within budget' : `${budgets.failed} over budget`}</span>
+      </h2>
+      <table><thead><tr><th>Rule</th><th>Actual</th><th>Limit</th><th>Result</th></tr></thead><tbody>${rows}</tbody></table>
+    </section>`
+}
+
+function categorySection(categories) {
+  const others = Object.values(categories || {}).filter(category => category.id !== 'performance')
+  if (others.length === 0) return ''
+
+  return others.map(category => `
+    <section>
+      <h2>${escapeHtml(category.title)}
+        <span class="mono" style="color:${STATUS_COLORS[scoreStatus(category.score)]}">${escapeHtml(category.score ?? 'N/A')}</span>
+      </h2>
+      ${category.issues.length > 0
+        ? `<table><tbody>${category.issues.map(issue => `
+          <tr><td>${escapeHtml(issue.title)}</td><td>${escapeHtml(issue.severity)}</td></tr>`).join('')}</tbody></table>`
+        : '<p class="muted">All audits passed.</p>'}
+    </section>`).join('')
+}
+
+function vitalElementsSection(webVitals) {
+  const lcp = webVitals?.lcp
+  const shifted = webVitals?.cls?.elements || []
+  if (!lcp?.element && !lcp?.phases && shifted.length === 0) return ''
+
+  const phaseRows = (lcp?.phases || []).map(phase => `
+      <tr><td>${escapeHtml(phase.label)}</td><td class="mono">${escapeHtml(phase.timingFormatted)}</td><td class="mono muted">${escapeHtml(phase.percent)}%</td></tr>`).join('')
+  const shiftRows = shifted.map(element => `
+      <tr><td class="mono">${escapeHtml(element.selector)}</td><td class="mono">${escapeHtml(element.scoreFormatted)}</td></tr>`).join('')
+
+  return `
+    <section>
+      <h2>What Caused LCP and CLS</h2>
+      ${lcp?.element ? `<p>LCP element: <span class="mono">${escapeHtml(lcp.element.selector)}</span>${lcp.lazyLoaded ? ' <span class="fail">(lazy-loaded)</span>' : ''}</p>` : ''}
+      ${phaseRows ? `<table><tbody>${phaseRows}</tbody></table>` : ''}
+      ${shiftRows ? `<table><thead><tr><th>Shifted element</th><th>CLS contribution</th></tr></thead><tbody>${shiftRows}</tbody></table>` : ''}
+    </section>`
+}
+
+function interactionSection(webVitals) {
+  const inp = webVitals?.inp
+  if (!inp?.element && !inp?.phases) return ''
+
+  const phaseRows = (inp.phases || []).map(phase => `
+      <tr><td>${escapeHtml(phase.label)}</td><td class="mono">${escapeHtml(phase.timingFormatted)}</td><td class="mono muted">${escapeHtml(phase.percent)}%</td></tr>`).join('')
+
+  return `
+    <section>
+      <h2>Slowest Interaction</h2>
+      ${inp.element ? `<p>${escapeHtml(inp.interactionType || 'Interaction')} on <span class="mono">${escapeHtml(inp.element.selector)}</span></p>` : ''}
+      ${phaseRows ? `<table><tbody>${phaseRows}</tbody></table>` : ''}
+    </section>`
+}
+
+function mainThreadSection(mainThread) {
+  if (!mainThread) return ''
+
+  const categoryRows = mainThread.categories.map(category => `
+      <tr><td>${escapeHtml(category.label)}</td><td class="mono">${escapeHtml(category.durationFormatted)}</td><td class="mono muted">${escapeHtml(category.percent)}%</td></tr>`).join('')
+  const scriptRows = mainThread.scripts.slice(0, 10).map(script => `
+      <tr>
+        <td class="mono">${escapeHtml(script.url)}</td>
+        <td class="mono">${escapeHtml(script.totalFormatted)}</td>
+        <td class="mono">${escapeHtml(script.scriptingFormatted)}</td>
+        <td class="mono">${escapeHtml(script.scriptParseCompileFormatted)}</td>
+      </tr>`).join('')
+
+  return `
+    <section>
+      <h2>Main Thread Work <span class="muted mono">${escapeHtml(mainThread.totalTimeFormatted)}</span></h2>
+      <table><tbody>${categoryRows}</tbody></table>
+      ${scriptRows ? `<table><thead><tr><th>Script</th><th>Total CPU</th><th>Evaluation</th><th>Parse &amp; compile</th></tr></thead><tbody>${scriptRows}</tbody></table>` : ''}
+    </section>`
+}
+
+function thirdPartySection(thirdParties) {
+  if (!thirdParties) return ''
+
+  const rows = thirdParties.entities.map(entity => `
+      <tr>
+        <td>${escapeHtml(entity.name)}${entity.isFirstParty ? ' <span class="muted">(1st party)</span>' : ''}</td>
+        <td class="mono">${escapeHtml(entity.requestCount)}</td>
+        <td class="mono">${escapeHtml(entity.transferSizeFormatted)}</td>
+        <td class="mono">${escapeHtml(entity.blockingTimeFormatted)}</td>
+        <td class="mono">${escapeHtml(entity.mainThreadTimeFormatted)}</td>
+      </tr>`).join('')
+
+  return `
+    <section>
+      <h2>Third Parties <span class="muted mono">${escapeHtml(thirdParties.thirdParty.transferSizeFormatted)} · ${escapeHtml(thirdParties.thirdParty.sizePercent)}% of page weight</span></h2>
+      <table><thead><tr><th>Entity</th><th>Requests</th><th>Transfer size</th><th>Blocking time</th><th>Main-thread time</th></tr></thead><tbody>${rows}</tbody></table>
+    </section>`
+}
+
+function filmstripSection(timeline) {
+  if (!timeline) return ''
+
+  const frames = timeline.frames.map(frame => `
+      <figure><img src="${escapeHtml(frame.data)}" alt=""><figcaption class="mono muted">${escapeHtml(frame.timingFormatted)}</figcaption></figure>`).join('')
+  const markers = timeline.markers.map(marker => `${escapeHtml(marker.label)} ${escapeHtml(marker.timingFormatted)}`).join(' · ')
+
+  return `
+    <section>
+      <h2>Page Load Timeline <span class="muted mono">${markers}</span></h2>
+      <div class="filmstrip">${frames}</div>
+    </section>`
+}
+
+/**
+ * Render a report as HTML
+ * @param {Object} report - Processed report (from processReport / runAnalysis)
+ * @returns {string} Complete HTML document
+ */
+function renderHtmlReport(report) {
+  const status = scoreStatus(report.score)
+
+  const issueRows = (report.issues || []).map(issue => `
+      <tr>
+        <td>${escapeHtml(issue.title)}</td>
+        <td>${escapeHtml(issue.severity)}</td>
+        <td class="mono">${issue.savings?.time ? escapeHtml(issue.savings.timeFormatted) : ''}</td>
+        <td class="mono">${issue.savings?.bytes ? escapeHtml(issue.savings.bytesFormatted) : ''}</td>
+      </tr>`).join('')
+
+  const resourceRows = (report.network?.resourceSummary || []).map(item => `
+      <tr>
+        <td>${escapeHtml(item.resourceType)}</td>
+        <td class="mono">${escapeHtml(item.requestCount)}</td>
+        <td class="mono">${escapeHtml(item.transferSizeFormatted)}</td>
+      </tr>`).join('')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>RenderIQ Report – ${escapeHtml(report.url)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #0a0a14; color: #e2e8f0; margin: 0; padding: 32px; }
+  main { max-width: 960px; margin: 0 auto; }
+  h1 { margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 32px 0 12px; display: flex; gap: 12px; align-items: baseline; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th { text-align: left; color: #94a3b8; font-weight: 600; font-size: 12px; text-transform: uppercase; }
+  th, td { padding: 8px 12px; border-bottom: 1px solid rgba(255,255,255,0.08); }
+  .mono { font-family: 'JetBrains Mono', 'Fira Code', monospace; }
+  .muted { color: #94a3b8; }
+  .pass { color: #22c55e; }
+  .fail { color: #ef4444; }
+  .score { font-size: 64px; font-weight: 700; }
+  .status { text-transform: capitalize; }
+  .meta { color: #94a3b8; font-size: 14px; }
+  .filmstrip { display: flex; gap: 8px; overflow-x: auto; }
+  .filmstrip figure { margin: 0; text-align: center; font-size: 12px; }
+  .filmstrip img { height: 120px; border: 1px solid rgba(255,255,255,0.08); }
+</style>
+</head>
+<body>
+<main>
+  <h1>RenderIQ Report</h1>
+  <p class="meta mono">${escapeHtml(report.url)}</p>
+  <p class="meta">
+    ${escapeHtml(report.meta?.deviceType || '')} · ${escapeHtml((report.meta?.networkThrottling || '').toUpperCase())}
+    · Lighthouse ${escapeHtml(report.meta?.lighthouseVersion || '')}
+    ${report.runs ? `· median of ${report.runs.count} runs` : ''}
+    · ${escapeHtml(report.fetchTime || '')}
+  </p>
+
+  <div class="score mono" style="color:${STATUS_COLORS[status]}">${escapeHtml(report.score)}</div>
+  ${report.runs?.score ? `<p class="meta mono">Range ${escapeHtml(report.runs.score.minFormatted)}–${escapeHtml(report.runs.score.maxFormatted)} (σ ${escapeHtml(report.runs.score.stddevFormatted)})</p>` : ''}
+
+  ${categorySection(report.categories)}
+
+  <section>
+    <h2>Core Web Vitals</h2>
+    <table><tbody>${metricRows(report.webVitals, report.runs?.webVitals)}</tbody></table>
+  </section>
+  ${vitalElementsSection(report.webVitals)}
+  ${interactionSection(report.webVitals)}
+
+  <section>
+    <h2>Metrics</h2>
+    <table><tbody>${metricRows(report.metrics, report.runs?.metrics)}</tbody></table>
+  </section>
+  ${filmstripSection(report.timeline)}
+  ${mainThreadSection(report.mainThread)}
+  ${budgetSection(report.budgets)}
+  ${thirdPartySection(report.thirdParties)}
+
+  <section>
+    <h2>Issues</h2>
+    ${issueRows
+      ? `<table><thead><tr><th>Issue</th><th>Severity</th><th>Time</th><th>Size</th></tr></thead><tbody>${issueRows}</tbody></table>`
+      : '<p class="muted">No issues found.</p>'}
+  </section>
+
+  <section>
+    <h2>Network <span class="muted mono">${escapeHtml(report.network?.totalSizeFormatted)}</span></h2>
+    <table><thead><tr><th>Resource type</th><th>Requests</th><th>Transfer size</th></tr></thead><tbody>${resourceRows}</tbody></table>
+  </section>
+</main>
+</body>
+</html>
+`
+}
+
+/**
+ * Render a Lighthouse result as the standard Lighthouse HTML report
+ * @param {Object} lhr - Lighthouse result
+ * @returns {string} Complete HTML document (same output as `lighthouse --output html`)
+ */
+function renderLighthouseHtml(lhr) {
+  return ReportGenerator.generateReportHtml(lhr)
+}
+
+/**
+ * File name Lighthouse itself would use for a result (host + fetch time, no extension)
+ * @param {Object} lhr - Lighthouse result
+ * @returns {string}
+ */
+function lighthouseFilename(lhr) {
+  let hostname = 'report'
+  try {
+    hostname = new URL(lhr.finalDisplayedUrl || lhr.finalUrl || lhr.requestedUrl).hostname
+  } catch {
+    // Keep the generic name
+  }
+  return getFilenamePrefix(hostname, lhr.fetchTime)
+}
+
+export { renderHtmlReport, renderLighthouseHtml, lighthouseFilename }
@@ -0,0 +1,175 @@
+/**
+ * Interaction Runner
+ * Measures INP by replaying scripted interactions (clicks, typing, scrolls) on the loaded
+ * page while Lighthouse records a timespan. Playwright drives the page; Lighthouse's
+ * timespan API needs a Puppeteer handle to the same tab, so Puppeteer attaches over CDP.
+ */
+
+import puppeteer from 'puppeteer-core'
+import { startTimespan } from 'lighthouse'
+
+const INTERACTION_TYPES = ['click', 'type', 'scroll']
+
+const MAX_INTERACTIONS = 20
+
+// Time each interaction gets for its handlers, the next paint and any layout shifts before the next one
+const SETTLE_MS = 500
+
+// Max wait for an interaction's element to be actionable
+const STEP_TIMEOUT_MS = 10000
+
+/**
+ * Custom error class for interaction errors
+ */
+class InteractionError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'InteractionError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Validate the requested interactions
+ * @param {Array<Object>} interactions - [{ type: 'click'|'type'|'scroll', selector, text }]
+ * @returns {Array<Object>} Normalized interactions (empty when none were requested)
+ */
+function resolveInteractions(interactions = null) {
+  if (interactions === null || interactions === undefined) return []
+
+  if (!Array.isArray(interactions)) {
+    throw new InteractionError('interactions must be an array of { type, selector } steps', 'INVALID_INTERACTIONS')
+  }
+  if (interactions.length > MAX_INTERACTIONS) {
+    throw new InteractionError(`At most ${MAX_INTERACTIONS} interactions are supported`, 'INVALID_INTERACTIONS')
+  }
+
+  return interactions.map((interaction, index) => {
+    const step = `Interaction ${index + 1}`
+    if (!INTERACTION_TYPES.includes(interaction?.type)) {
+      throw new InteractionError(`${step}: type must be one of ${INTERACTION_TYPES.join(', ')}`, 'INVALID_INTERACTIONS')
+    }
+    if (typeof interaction.selector !== 'string' || !interaction.selector.trim()) {
+      throw new InteractionError(`${step}: selector is required`, 'INVALID_INTERACTIONS')
+    }
+    if (interaction.type === 'type' && typeof interaction.text !== 'string') {
+      throw new InteractionError(`${step}: text is required for type`, 'INVALID_INTERACTIONS')
+    }
+
+    return {
+      type: interaction.type,
+      selector: interaction.selector.trim(),
+      ...(interaction.type === 'type' && { text: interaction.text }),
+    }
+  })
+}
+
+/**
+ * Perform one interaction with real input events (what INP measures)
+ * @param {Page} page - Playwright page
+ * @param {Object} interaction - Normalized interaction
+ */
+async function performInteraction(page, { type, selector, text }) {
+  const target = page.locator(selector).first()
+
+  if (type === 'click') {
+    await target.click({ timeout: STEP_TIMEOUT_MS })
+  } else if (type === 'type') {
+    await target.click({ timeout: STEP_TIMEOUT_MS })
+    await target.pressSequentially(text, { delay: 50 })
+  } else {
+    // Scrolling isn't an interaction for INP, but shifts it causes count towards CLS
+    await target.scrollIntoViewIfNeeded({ timeout: STEP_TIMEOUT_MS })
+  }
+
+  await page.waitForTimeout(SETTLE_MS)
+}
+
+/**
+ * The Puppeteer page for a Playwright page (matched by CDP target id)
+ * @param {Browser} puppeteerBrowser - Puppeteer connection to the same browser
+ * @param {string} targetId - CDP target id of the Playwright page
+ * @returns {Promise<Page|null>} Puppeteer page
+ */
+async function findPuppeteerPage(puppeteerBrowser, targetId) {
+  for (const target of puppeteerBrowser.targets().filter(target => target.type() === 'page')) {
+    const session = await target.createCDPSession()
+    const { targetInfo } = await session.send('Target.getTargetInfo')
+    await session.detach()
+    if (targetInfo.targetId === targetId) return target.page()
+  }
+  return null
+}
+
+/**
+ * Load the page, then replay the interactions inside a Lighthouse timespan
+ * @param {Browser} browser - Playwright browser (launched with remote debugging)
+ * @param {string} url - Page to load
+ * @param {Array<Object>} interactions - Normalized interactions
+ * @param {Object} options
+ * @param {number} options.port - Remote debugging port of the browser
+ * @param {Object} options.config - Lighthouse config for the timespan
+ * @param {Object} options.contextOptions - Playwright context options (viewport, extra headers)
+ * @param {Array<Object>} options.cookies - Cookies to add to the context
+ * @param {Object} options.storage - { localStorage, sessionStorage } set before the page's scripts run
+ * @param {number} options.timeout - Max page load wait in milliseconds
+ * @returns {Promise<Object>} Timespan Lighthouse result
+ */
+async function measureInteractions(browser, url, interactions, { port, config, contextOptions = {}, cookies = [], storage = {}, timeout = 45000 }) {
+  const context = await browser.newContext(contextOptions)
+  let puppeteerBrowser = null
+
+  try {
+    if (cookies.length > 0) {
+      await context.addCookies(cookies)
+    }
+    if (storage.localStorage || storage.sessionStorage) {
+      await context.addInitScript(({ localStorage: local = {}, sessionStorage: session = {} }) => {
+        Object.entries(local).forEach(([key, value]) => window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value)))
+        Object.entries(session).forEach(([key, value]) => window.sessionStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value)))
+      }, storage)
+    }
+
+    const page = await context.newPage()
+    await page.goto(url, { waitUntil: 'load', timeout })
+
+    const cdpSession = await context.newCDPSession(page)
+    const { targetInfo } = await cdpSession.send('Target.getTargetInfo')
+    await cdpSession.detach()
+
+    puppeteerBrowser = await puppeteer.connect({ browserURL: `http://127.0.0.1:${port}`, defaultViewport: null })
+    const puppeteerPage = await findPuppeteerPage(puppeteerBrowser, targetInfo.targetId)
+    if (!puppeteerPage) {
+      throw new InteractionError('Could not attach Lighthouse to the interaction page', 'INTERACTION_FAILED', 500)
+    }
+
+    const timespan = await startTimespan(puppeteerPage, { config })
+
+    for (const [index, interaction] of interactions.entries()) {
+      try {
+        await performInteraction(page, interaction)
+      } catch (error) {
+        // End the timespan anyway so Lighthouse releases the page
+        await timespan.endTimespan().catch(() => {})
+        throw new InteractionError(
+          `Interaction ${index + 1} (${interaction.type} ${interaction.selector}) failed: ${error.message.split('\n')[0]}`,
+          'INTERACTION_FAILED',
+          422
+        )
+      }
+    }
+
+    const result = await timespan.endTimespan()
+    if (!result?.lhr) {
+      throw new InteractionError('Lighthouse did not return a timespan result', 'INTERACTION_FAILED', 500)
+    }
+    return result.lhr
+  } finally {
+    // Disconnect only: the browser belongs to the analysis
+    puppeteerBrowser?.disconnect()
+    await context.close().catch(() => {})
+  }
+}
+
+export { resolveInteractions, measureInteractions, InteractionError, INTERACTION_TYPES }
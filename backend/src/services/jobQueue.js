@@ -0,0 +1,215 @@
+/**
+ * Job Queue Service
+ * In-process queue for long-running analyses: jobs are submitted, processed by a
+ * fixed number of workers, polled for status/result and can be cancelled.
+ * Every job keeps a log of status/progress events that can be streamed to clients.
+ */
+
+import { randomUUID } from 'crypto'
+
+class JobQueueError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'JobQueueError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled']
+
+/**
+ * Create a job queue
+ * @param {Object} options
+ * @param {Function} options.processor - Async function (payload, { signal, onProgress }) => result
+ * @param {number} options.workers - Jobs processed at once (default: 2)
+ * @param {number} options.retentionMs - How long finished jobs stay available (default: 1 hour)
+ * @param {Function} options.describe - Maps a payload to the public summary shown in job status
+ * @returns {Object} { submit, get, cancel, subscribe, stats }
+ */
+function createJobQueue({
+  processor,
+  workers = 2,
+  retentionMs = 60 * 60 * 1000,
+  describe = () => ({})
+}) {
+  const jobs = new Map()
+  const pending = []
+  let running = 0
+
+  /**
+   * Record an event on the job and push it to live subscribers
+   * @param {Object} job - Job
+   * @param {Object} event - { type: 'status', status } or { type: 'progress', phase, message, level }
+   */
+  const emit = (job, event) => {
+    const entry = {
+      ...event,
+      timestamp: new Date().toISOString(),
+      elapsedMs: Date.now() - Date.parse(job.createdAt)
+    }
+    job.events.push(entry)
+    if (entry.type === 'progress' && entry.level !== 'warning') {
+      job.phase = entry.phase
+    }
+    job.listeners.forEach(listener => listener(entry))
+  }
+
+  const finish = (job, status, fields = {}) => {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() })
+    job.controller = null
+    emit(job, { type: 'status', status, error: job.error })
+    job.listeners.clear()
+
+    // Drop finished jobs after the retention period so results don't pile up in memory
+    setTimeout(() => jobs.delete(job.id), retentionMs).unref()
+  }
+
+  const next = () => {
+    while (running < workers && pending.length > 0) {
+      const job = pending.shift()
+      running++
+      job.status = 'running'
+      job.startedAt = new Date().toISOString()
+      emit(job, { type: 'status', status: 'running' })
+
+      const onProgress = (progress) => {
+        if (job.status === 'running') emit(job, { type: 'progress', ...progress })
+      }
+
+      processor(job.payload, { signal: job.controller.signal, onProgress })
+        .then((result) => {
+          if (job.status === 'running') finish(job, 'completed', { result })
+        })
+        .catch((error) => {
+          if (job.status !== 'running') return
+          console.error(`Job ${job.id} failed:`, error.message)
+          finish(job, 'failed', {
+            error: {
+              message: error.message || 'Analysis failed',
+              code: error.code || 'INTERNAL_ERROR',
+              // e.g. the failed auth check (final URL, rule results, screenshot) behind AUTH_FAILED
+              ...(error.details && { details: error.details })
+            }
+          })
+        })
+        .finally(() => {
+          running--
+          next()
+        })
+    }
+  }
+
+  /**
+   * Public view of a job (never exposes the payload, which may contain credentials)
+   */
+  const serialize = (job) => ({
+    id: job.id,
+    status: job.status,
+    phase: job.phase,
+    ...job.summary,
+    position: job.status === 'queued' ? pending.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    result: job.result,
+    error: job.error
+  })
+
+  /**
+   * Queue a new job
+   * @param {Object} payload - Passed to the processor as-is
+   * @returns {Object} Serialized job
+   */
+  const submit = (payload) => {
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      payload,
+      summary: describe(payload),
+      controller: new AbortController(),
+      events: [],
+      listeners: new Set(),
+      phase: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    }
+
+    jobs.set(job.id, job)
+    pending.push(job)
+    emit(job, { type: 'status', status: 'queued' })
+    next()
+
+    return serialize(job)
+  }
+
+  const find = (id) => {
+    const job = jobs.get(id)
+    if (!job) {
+      throw new JobQueueError(`Job ${id} not found`, 'JOB_NOT_FOUND', 404)
+    }
+    return job
+  }
+
+  /**
+   * Get a job's status (and result once completed)
+   * @param {string} id - Job id
+   * @returns {Object} Serialized job
+   */
+  const get = (id) => serialize(find(id))
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job id
+   * @returns {Object} Serialized job
+   */
+  const cancel = (id) => {
+    const job = find(id)
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new JobQueueError(`Job is already ${job.status}`, 'JOB_FINISHED', 409)
+    }
+
+    if (job.status === 'queued') {
+      pending.splice(pending.indexOf(job), 1)
+    }
+
+    job.controller.abort()
+    finish(job, 'cancelled')
+
+    return serialize(job)
+  }
+
+  /**
+   * Replay a job's events so far and follow new ones until it finishes
+   * @param {string} id - Job id
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribe = (id, listener) => {
+    const job = find(id)
+
+    job.events.forEach(listener)
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return () => {}
+    }
+
+    job.listeners.add(listener)
+    return () => job.listeners.delete(listener)
+  }
+
+  const stats = () => ({
+    workers,
+    running,
+    queued: pending.length,
+    total: jobs.size
+  })
+
+  return { submit, get, cancel, subscribe, stats }
+}
+
+export { createJobQueue, JobQueueError, FINISHED_STATUSES }
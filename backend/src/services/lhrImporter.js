@@ -0,0 +1,196 @@
+/**
+ * LHR Import Service
+ * Builds a RenderIQ report from a Lighthouse result produced elsewhere
+ * (Chrome DevTools "Save as JSON", the Lighthouse CLI, PageSpeed Insights) without running a browser.
+ *
+ * Accepted documents:
+ *   - a plain LHR
+ *   - a PageSpeed Insights API response ({ lighthouseResult })
+ *   - a user flow result ({ steps: [{ lhr }] }) - the first navigation step is used
+ *
+ * LHRs from other Lighthouse versions are upgraded with Lighthouse's own compatibility shim plus the
+ * audit renames below; anything still missing shows as N/A and is listed in report.meta.importWarnings.
+ */
+
+import { createRequire } from 'module'
+import { upgradeLhrForCompatibility } from 'lighthouse/core/lib/lighthouse-compatibility.js'
+import { extractLighthouseData, resolveAudits, NETWORK_PRESETS } from './performanceAnalyzer.js'
+import { processReport } from './reportProcessor.js'
+
+const BUNDLED_LIGHTHOUSE_VERSION = createRequire(import.meta.url)('lighthouse/package.json').version
+const BUNDLED_MAJOR = majorVersion(BUNDLED_LIGHTHOUSE_VERSION)
+
+// Oldest LHR with the metrics the report is built on (LCP, CLS, TBT arrived in 6.0)
+const MIN_SUPPORTED_MAJOR = 6
+
+// Audits renamed between Lighthouse versions: id extractLighthouseData reads → ids it has had elsewhere
+const AUDIT_ALIASES = {
+  'experimental-interaction-to-next-paint': ['interaction-to-next-paint'],
+  'server-response-time': ['time-to-first-byte'],
+}
+
+// Audits the report's metrics come from; missing ones are reported as import warnings
+const METRIC_AUDITS = {
+  'largest-contentful-paint': 'Largest Contentful Paint',
+  'cumulative-layout-shift': 'Cumulative Layout Shift',
+  'first-contentful-paint': 'First Contentful Paint',
+  'speed-index': 'Speed Index',
+  'total-blocking-time': 'Total Blocking Time',
+  'server-response-time': 'Time to First Byte',
+}
+
+class LhrImportError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'LhrImportError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+function majorVersion(version) {
+  const major = Number.parseInt(String(version || ''), 10)
+  return Number.isNaN(major) ? null : major
+}
+
+/**
+ * Find the LHR in an uploaded document
+ * @param {Object} document - Parsed JSON upload
+ * @returns {Object} Lighthouse result
+ */
+function unwrapLhr(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new LhrImportError('Expected a Lighthouse JSON report', 'INVALID_LHR')
+  }
+
+  if (document.lighthouseResult) {
+    return document.lighthouseResult
+  }
+
+  if (Array.isArray(document.steps)) {
+    const step = document.steps.find(item => item.lhr?.gatherMode === 'navigation') || document.steps[0]
+    if (!step?.lhr) {
+      throw new LhrImportError('The user flow report has no steps', 'INVALID_LHR')
+    }
+    return step.lhr
+  }
+
+  return document
+}
+
+/**
+ * Bring an LHR from another Lighthouse version into the shape extractLighthouseData expects
+ * @param {Object} lhr - Lighthouse result (modified in place)
+ * @returns {Array<string>} Warnings about data that could not be carried over
+ */
+function normalizeLhr(lhr) {
+  if (!lhr.audits || typeof lhr.audits !== 'object' || !lhr.categories || !lhr.lighthouseVersion) {
+    throw new LhrImportError(
+      'Not a Lighthouse result: expected lighthouseVersion, audits and categories',
+      'INVALID_LHR'
+    )
+  }
+
+  const major = majorVersion(lhr.lighthouseVersion)
+  if (major === null || major < MIN_SUPPORTED_MAJOR) {
+    throw new LhrImportError(
+      `Lighthouse ${lhr.lighthouseVersion} reports are not supported (need ${MIN_SUPPORTED_MAJOR}.0 or newer)`,
+      'UNSUPPORTED_LHR_VERSION'
+    )
+  }
+
+  if (!lhr.categories.performance) {
+    throw new LhrImportError('The report has no performance category', 'INVALID_LHR')
+  }
+  if (lhr.categories.performance.score === null) {
+    const reason = lhr.runtimeError?.message ? `: ${lhr.runtimeError.message}` : ''
+    throw new LhrImportError(`Lighthouse could not score this page${reason}`, 'INVALID_LHR')
+  }
+
+  const warnings = []
+  if (major !== BUNDLED_MAJOR) {
+    warnings.push(
+      `Report was generated by Lighthouse ${lhr.lighthouseVersion}; RenderIQ uses ${BUNDLED_LIGHTHOUSE_VERSION}, so some audits may be missing or differ`
+    )
+  }
+
+  lhr.configSettings = lhr.configSettings || {}
+  try {
+    // Older LHRs: locale, formFactor, final URLs, details types
+    upgradeLhrForCompatibility(lhr)
+  } catch (error) {
+    warnings.push(`Could not fully upgrade the report: ${error.message}`)
+  }
+
+  for (const [auditId, aliases] of Object.entries(AUDIT_ALIASES)) {
+    const alias = aliases.find(id => lhr.audits[id])
+    if (!lhr.audits[auditId] && alias) {
+      lhr.audits[auditId] = lhr.audits[alias]
+    }
+  }
+
+  const missing = Object.entries(METRIC_AUDITS)
+    .filter(([auditId]) => !lhr.audits[auditId])
+    .map(([, label]) => label)
+  if (missing.length > 0) {
+    warnings.push(`Not in this report: ${missing.join(', ')}`)
+  }
+
+  return warnings
+}
+
+/**
+ * Name of the network preset whose RTT and throughput match the report's throttling
+ * @param {Object} throttling - lhr.configSettings.throttling
+ * @returns {string|null} Preset name, or null for custom throttling
+ */
+function matchNetworkPreset(throttling) {
+  if (!throttling) return null
+  const match = Object.entries(NETWORK_PRESETS).find(([, preset]) =>
+    preset.rttMs === throttling.rttMs && preset.throughputKbps === throttling.throughputKbps
+  )
+  return match ? match[0] : null
+}
+
+/**
+ * Process an uploaded Lighthouse report into a RenderIQ report
+ * @param {Object} document - Parsed LHR, PageSpeed Insights response or user flow result
+ * @param {Object} options
+ * @param {Array<string>} options.audits - Audits reported as performance issues (default: server default)
+ * @returns {Object} { report, lhr } - processed report and the (upgraded) LHR to store with it
+ */
+function importLighthouseResult(document, { audits = null } = {}) {
+  const issueAudits = resolveAudits(audits)
+  const lhr = unwrapLhr(document)
+  const warnings = normalizeLhr(lhr)
+
+  let performanceData
+  try {
+    performanceData = extractLighthouseData(lhr, { audits: issueAudits })
+  } catch (error) {
+    throw new LhrImportError(`Could not read the Lighthouse report: ${error.message}`, 'INVALID_LHR')
+  }
+
+  // The final screenshot stands in for the one a live run takes
+  const finalScreenshot = lhr.audits['final-screenshot']?.details?.data
+  const screenshot = typeof finalScreenshot === 'string' && finalScreenshot.startsWith('data:image/jpeg;base64,')
+    ? finalScreenshot.slice('data:image/jpeg;base64,'.length)
+    : null
+
+  const report = processReport({
+    ...performanceData,
+    originalUrl: lhr.requestedUrl,
+    networkThrottling: matchNetworkPreset(lhr.configSettings.throttling),
+    screenshot,
+  })
+
+  report.meta.imported = true
+  report.meta.importWarnings = warnings
+
+  console.log(`📥 Imported Lighthouse ${lhr.lighthouseVersion} report for ${report.url} (score ${report.score})`)
+  warnings.forEach(warning => console.log(`   ⚠️ ${warning}`))
+
+  return { report, lhr }
+}
+
+export { importLighthouseResult, LhrImportError }
@@ -0,0 +1,153 @@
+/**
+ * Login Runner
+ * Signs in through a page's login form in a throwaway browser context, checks that the
+ * login worked and returns the resulting session (cookies and storage) so the analysis
+ * can restore it in the browser Lighthouse uses.
+ */
+
+// Selectors tried when the request doesn't name the form fields
+const DEFAULT_SELECTORS = {
+  usernameSelector: 'input[name="username"], input[name="email"], input[type="email"], #username, #email',
+  passwordSelector: 'input[name="password"], input[type="password"], #password',
+  submitSelector: 'button[type="submit"], input[type="submit"]',
+}
+
+// Max wait for the login page, each form field and the success check
+const LOGIN_TIMEOUT_MS = 30000
+
+/**
+ * Custom error class for login errors
+ */
+class LoginError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'LoginError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Validate a login-form auth block
+ * @param {Object} auth - { type: 'login', loginUrl, username, password, usernameSelector, passwordSelector,
+ *   submitSelector, successUrl, successSelector }
+ * @returns {Object} Normalized login config (default selectors filled in)
+ */
+function resolveLogin(auth) {
+  const { loginUrl, username, password, successUrl = null, successSelector = null } = auth || {}
+
+  let parsedUrl
+  try {
+    parsedUrl = new URL(loginUrl)
+  } catch {
+    throw new LoginError('auth.loginUrl must be a valid URL', 'INVALID_LOGIN')
+  }
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new LoginError('auth.loginUrl must use http or https', 'INVALID_LOGIN')
+  }
+  if (typeof username !== 'string' || !username) {
+    throw new LoginError('auth.username is required for login', 'INVALID_LOGIN')
+  }
+  if (typeof password !== 'string' || !password) {
+    throw new LoginError('auth.password is required for login', 'INVALID_LOGIN')
+  }
+
+  // Empty selector fields from the form mean "use the default"
+  const selectors = Object.fromEntries(Object.entries(DEFAULT_SELECTORS).map(([key, fallback]) => {
+    const value = auth[key]
+    return [key, typeof value === 'string' && value.trim() ? value.trim() : fallback]
+  }))
+
+  return {
+    loginUrl: parsedUrl.href,
+    username,
+    password,
+    ...selectors,
+    successUrl: typeof successUrl === 'string' && successUrl.trim() ? successUrl.trim() : null,
+    successSelector: typeof successSelector === 'string' && successSelector.trim() ? successSelector.trim() : null,
+  }
+}
+
+/**
+ * Wait until the page shows the login worked
+ * With no success check configured, leaving the login URL with the password field gone counts as success.
+ * @param {Page} page - Playwright page after submitting the form
+ * @param {Object} login - Normalized login config
+ */
+async function waitForLoginSuccess(page, { loginUrl, passwordSelector, successUrl, successSelector }) {
+  if (successUrl) {
+    await page.waitForURL(current => current.href.includes(successUrl), { timeout: LOGIN_TIMEOUT_MS })
+      .catch(() => {
+        throw new LoginError(`Login failed: the page did not reach a URL containing "${successUrl}" (now at ${page.url()})`, 'LOGIN_FAILED', 401)
+      })
+  }
+
+  if (successSelector) {
+    await page.waitForSelector(successSelector, { state: 'visible', timeout: LOGIN_TIMEOUT_MS })
+      .catch(() => {
+        throw new LoginError(`Login failed: "${successSelector}" did not appear after signing in`, 'LOGIN_FAILED', 401)
+      })
+  }
+
+  if (!successUrl && !successSelector) {
+    await page.waitForLoadState('networkidle', { timeout: LOGIN_TIMEOUT_MS }).catch(() => {})
+    const stillOnForm = page.url() === loginUrl && await page.locator(passwordSelector).first().isVisible()
+    if (stillOnForm) {
+      throw new LoginError('Login failed: still on the login form after submitting (check the credentials)', 'LOGIN_FAILED', 401)
+    }
+  }
+}
+
+/**
+ * Fill and submit the login form, then capture the signed-in session
+ * @param {Browser} browser - Playwright browser
+ * @param {Object} login - Normalized login config (from resolveLogin)
+ * @param {Object} contextOptions - Playwright context options (viewport)
+ * @returns {Promise<Object>} Playwright storage state { cookies, origins } plus the URL login ended on
+ */
+async function performLogin(browser, login, contextOptions = {}) {
+  const context = await browser.newContext(contextOptions)
+
+  try {
+    const page = await context.newPage()
+    console.log(`   🔑 Logging in at ${login.loginUrl}`)
+
+    try {
+      await page.goto(login.loginUrl, { waitUntil: 'domcontentloaded', timeout: LOGIN_TIMEOUT_MS })
+      await page.locator(login.usernameSelector).first().fill(login.username, { timeout: LOGIN_TIMEOUT_MS })
+      await page.locator(login.passwordSelector).first().fill(login.password, { timeout: LOGIN_TIMEOUT_MS })
+      await page.locator(login.submitSelector).first().click({ timeout: LOGIN_TIMEOUT_MS })
+    } catch (error) {
+      throw new LoginError(`Could not fill in the login form: ${error.message.split('\n')[0]}`, 'LOGIN_FAILED', 422)
+    }
+
+    await waitForLoginSuccess(page, login)
+
+    const state = await context.storageState()
+    console.log(`   ✅ Logged in (${state.cookies.length} cookies, now at ${page.url()})`)
+    return { ...state, finalUrl: page.url() }
+  } finally {
+    await context.close().catch(() => {})
+  }
+}
+
+/**
+ * Turn a captured session into the auth data the analysis injects
+ * Cookies keep their own domain and attributes; storage is taken from the analyzed page's origin.
+ * @param {Object} state - Playwright storage state (e.g. from performLogin)
+ * @param {string} url - URL being analyzed
+ * @param {string} type - Auth type to report (default: 'login')
+ * @returns {Object} Auth data { type, cookies, localStorage }
+ */
+function storageStateToAuth(state, url, type = 'login') {
+  const { origin } = new URL(url)
+  const originState = state.origins.find(entry => entry.origin === origin)
+
+  return {
+    type,
+    cookies: state.cookies,
+    localStorage: Object.fromEntries((originState?.localStorage || []).map(({ name, value }) => [name, value])),
+  }
+}
+
+export { resolveLogin, performLogin, storageStateToAuth, LoginError }
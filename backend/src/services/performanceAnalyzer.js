@@ -6,12 +6,87 @@
  * This uses the EXACT same settings as Chrome DevTools Lighthouse
  */
 
+import net from 'net'
 import lighthouse from 'lighthouse'
-import { chromium } from 'playwright'
+import { chromium, errors as playwrightErrors } from 'playwright'
 import desktopConfig from 'lighthouse/core/config/desktop-config.js'
+import * as lighthouseConstants from 'lighthouse/core/config/constants.js'
+import { SUPPORTED_AUDITS, DEFAULT_AUDITS, extractAuditItems, isAuditFailed } from './auditRegistry.js'
+import { resolveInteractions, measureInteractions } from './interactionRunner.js'
+import { resolveLogin, performLogin, storageStateToAuth } from './loginRunner.js'
+import { parseCookieJar } from './cookieJar.js'
+import { parseCurl } from './curlParser.js'
+import { resolveAuthCheck, checkAuthentication, AuthVerificationError } from './authVerifier.js'
 
-// Fixed port for Lighthouse connection
-const DEBUGGING_PORT = 9222
+const { DEVTOOLS_RTT_ADJUSTMENT_FACTOR, DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR } = lighthouseConstants.throttling
+
+/**
+ * Build a full Lighthouse throttling block from a round-trip time and throughput.
+ * rttMs/throughputKbps are used by the 'simulate' method, the request latency and
+ * download/upload values by the 'devtools' method (same adjustment as Lighthouse itself).
+ */
+function networkProfile(rttMs, throughputKbps, uploadKbps = throughputKbps) {
+  return {
+    rttMs,
+    throughputKbps,
+    requestLatencyMs: rttMs * DEVTOOLS_RTT_ADJUSTMENT_FACTOR,
+    downloadThroughputKbps: throughputKbps * DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR,
+    uploadThroughputKbps: uploadKbps * DEVTOOLS_THROUGHPUT_ADJUSTMENT_FACTOR,
+  }
+}
+
+// Network presets offered in the UI (Fast / 4G / 3G / Slow 3G)
+// 4g and 3g are Lighthouse's own mobileSlow4G and mobileRegular3G profiles
+const NETWORK_PRESETS = {
+  wifi: networkProfile(40, 10 * 1024),
+  '4g': networkProfile(150, 1.6 * 1024, 750),
+  '3g': networkProfile(300, 700),
+  'slow-3g': networkProfile(400, 400),
+}
+
+// CPU slowdown follows the device, like Chrome DevTools (desktop 1x, mobile 4x)
+const DEVICE_CPU_SLOWDOWN = {
+  desktop: 1,
+  mobile: 4,
+}
+
+const THROTTLING_METHODS = ['simulate', 'devtools', 'provided']
+
+// Viewports of the pages we open ourselves (screenshot, interactions), same as Lighthouse's emulation
+const PAGE_VIEWPORTS = {
+  desktop: { width: 1350, height: 940 },
+  mobile: { width: 412, height: 823 },
+}
+
+// Lighthouse categories that can be requested (PWA is deprecated and not offered)
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo']
+
+// Server default audit selection (comma-separated ids); unset = the registry's defaults
+const SERVER_AUDITS = process.env.LIGHTHOUSE_AUDITS ?? null
+
+// Chromium normally starts in a few seconds; a launch that waits this long lost its debugging port
+const LAUNCH_TIMEOUT_MS = 30000
+const LAUNCH_ATTEMPTS = 3
+
+// Audits without a pass/fail score never count as failed
+const SCORED_DISPLAY_MODES = ['binary', 'numeric', 'metricSavings']
+
+/**
+ * Ask the OS for a free local port for Chromium's remote debugging
+ * Each analysis gets its own port so concurrent runs don't share a browser
+ * @returns {Promise<number>} Free TCP port on 127.0.0.1
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.unref()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
 
 /**
  * Parse cookie string into cookie objects for Playwright
@@ -40,6 +115,55 @@ function parseCookies(cookieString, domain) {
   return cookies
 }
 
+/**
+ * Cookies for a Playwright context from auth data
+ * Strings are parsed onto the target domain; cookie objects with a domain (login sessions)
+ * keep their own domain and attributes.
+ * @param {string|Array} cookies - Cookie string, or array of cookie strings/objects
+ * @param {string} domain - Domain for cookies without one
+ * @returns {Array} Array of cookie objects
+ */
+function contextCookies(cookies, domain) {
+  if (typeof cookies === 'string') return parseCookies(cookies, domain)
+  if (!Array.isArray(cookies)) return []
+
+  return cookies.flatMap(cookie => {
+    if (typeof cookie === 'string') return parseCookies(cookie, domain)
+    if (!cookie?.name) return []
+    return [{ ...cookie, domain: cookie.domain || domain, path: cookie.path || '/' }]
+  })
+}
+
+/**
+ * Set cookies with their attributes in the browser's default context (the one Lighthouse uses)
+ * @param {number} port - Remote debugging port of the browser
+ * @param {Array<Object>} cookies - Playwright-style cookies ({ name, value, domain, path, expires, ... })
+ */
+async function setBrowserCookies(port, cookies) {
+  const CDP = (await import('chrome-remote-interface')).default
+  const response = await fetch(`http://127.0.0.1:${port}/json/version`)
+  const { webSocketDebuggerUrl } = await response.json()
+  const client = await CDP({ target: webSocketDebuggerUrl })
+
+  try {
+    await client.Storage.setCookies({
+      cookies: cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+        name,
+        value,
+        domain,
+        path: path || '/',
+        secure: Boolean(secure),
+        httpOnly: Boolean(httpOnly),
+        ...(sameSite && { sameSite }),
+        // -1 marks a session cookie
+        ...(expires > 0 && { expires }),
+      })),
+    })
+  } finally {
+    await client.close()
+  }
+}
+
 /**
  * Inject authentication data into browser context
  * Supports: cookies, localStorage, sessionStorage, and login form
@@ -47,6 +171,7 @@ function parseCookies(cookieString, domain) {
  * @param {Browser} browser - Playwright browser instance
  * @param {string} url - Target URL
  * @param {Object} auth - Authentication data
+ * @param {number} port - Remote debugging port of this browser
  */
 /**
  * Extract JWT token from localStorage data
@@ -70,7 +195,7 @@ function extractJwtFromLocalStorage(localStorage) {
   return null
 }
 
-async function injectAuthentication(browser, url, auth) {
+async function injectAuthentication(browser, url, auth, port) {
   console.log(`   🔐 Injecting authentication (type: ${auth.type})...`)
   
   const urlObj = new URL(url)
@@ -79,6 +204,8 @@ async function injectAuthentication(browser, url, auth) {
   
   // Check if we have any meaningful auth data
   // Handle cookies as either string or array
+  // Cookies that know their domain (login sessions) are set as-is instead of sent as a header
+  const cookieJar = Array.isArray(auth.cookies) ? auth.cookies.filter(c => c?.domain) : []
   let cookieString = ''
   if (auth.cookies) {
     if (typeof auth.cookies === 'string') {
@@ -86,20 +213,21 @@ async function injectAuthentication(browser, url, auth) {
     } else if (Array.isArray(auth.cookies)) {
       // Convert array of cookie objects to string
       cookieString = auth.cookies
+        .filter(c => !cookieJar.includes(c))
         .map(c => typeof c === 'string' ? c : `${c.name}=${c.value}`)
         .join('; ')
     }
   }
   const hasCookies = cookieString.length > 0
+  const hasCookieJar = cookieJar.length > 0
   const hasHeaders = auth.headers && Object.keys(auth.headers).length > 0
   const hasLocalStorage = auth.localStorage && Object.keys(auth.localStorage).length > 0
   const hasSessionStorage = auth.sessionStorage && Object.keys(auth.sessionStorage).length > 0
-  const hasLoginCredentials = auth.type === 'login' && auth.loginUrl && auth.username && auth.password
   
   // Check for JWT in localStorage
   const jwtInfo = extractJwtFromLocalStorage(auth.localStorage)
   
-  if (!hasCookies && !hasHeaders && !hasLocalStorage && !hasSessionStorage && !hasLoginCredentials) {
+  if (!hasCookies && !hasCookieJar && !hasHeaders && !hasLocalStorage && !hasSessionStorage) {
     console.log('   ⚠️ Warning: No authentication data provided!')
     console.log('   The exported session appears to be empty.')
     console.log('   Site might use HttpOnly cookies (not accessible via JavaScript).')
@@ -170,7 +298,7 @@ async function injectAuthentication(browser, url, auth) {
   if (storageInjectionScript) {
     try {
       // Connect to browser via CDP - need to get a PAGE target, not the browser
-      const cdpUrl = `http://127.0.0.1:${9222}`
+      const cdpUrl = `http://127.0.0.1:${port}`
       
       // First, list all targets and find/create a page target
       const targetsResponse = await fetch(`${cdpUrl}/json/list`)
@@ -250,7 +378,7 @@ async function injectAuthentication(browser, url, auth) {
   if (hasCookies) {
     try {
       const CDP = (await import('chrome-remote-interface')).default
-      const cdpUrl = `http://127.0.0.1:${9222}`
+      const cdpUrl = `http://127.0.0.1:${port}`
       const response = await fetch(`${cdpUrl}/json/version`)
       const { webSocketDebuggerUrl } = await response.json()
       const client = await CDP({ target: webSocketDebuggerUrl })
@@ -277,6 +405,15 @@ async function injectAuthentication(browser, url, auth) {
     }
   }
   
+  if (hasCookieJar) {
+    try {
+      await setBrowserCookies(port, cookieJar)
+      console.log(`   🍪 Restored ${cookieJar.length} session cookies`)
+    } catch (cookieError) {
+      console.log(`   ⚠️ CDP cookie restore failed: ${cookieError.message}`)
+    }
+  }
+
   console.log('   ✅ Authentication injection completed')
   
   // Return extracted headers for Lighthouse
@@ -295,6 +432,244 @@ class PerformanceAnalysisError extends Error {
   }
 }
 
+/**
+ * Resolve the requested network preset and CPU throttling into Lighthouse settings
+ * @param {Object} options
+ * @param {string} options.networkThrottling - Preset name ('wifi', '4g', '3g', 'slow-3g')
+ * @param {string} options.deviceType - 'desktop' or 'mobile'
+ * @param {number} options.cpuThrottling - CPU slowdown multiplier (defaults to the device's)
+ * @param {string} options.throttlingMethod - 'simulate', 'devtools' or 'provided'
+ * @returns {Object} { preset, method, throttling }
+ */
+function resolveThrottling({ networkThrottling = '4g', deviceType = 'mobile', cpuThrottling = null, throttlingMethod = 'simulate' }) {
+  const network = NETWORK_PRESETS[networkThrottling]
+  if (!network) {
+    throw new PerformanceAnalysisError(
+      `Unknown network throttling "${networkThrottling}". Use one of: ${Object.keys(NETWORK_PRESETS).join(', ')}`,
+      'INVALID_THROTTLING',
+      400
+    )
+  }
+
+  if (!THROTTLING_METHODS.includes(throttlingMethod)) {
+    throw new PerformanceAnalysisError(
+      `Unknown throttling method "${throttlingMethod}". Use one of: ${THROTTLING_METHODS.join(', ')}`,
+      'INVALID_THROTTLING',
+      400
+    )
+  }
+
+  let cpuSlowdownMultiplier = DEVICE_CPU_SLOWDOWN[deviceType] || DEVICE_CPU_SLOWDOWN.mobile
+  if (cpuThrottling !== null && cpuThrottling !== undefined) {
+    cpuSlowdownMultiplier = Number(cpuThrottling)
+    if (!Number.isFinite(cpuSlowdownMultiplier) || cpuSlowdownMultiplier < 1 || cpuSlowdownMultiplier > 20) {
+      throw new PerformanceAnalysisError(
+        'CPU throttling must be a number between 1 and 20',
+        'INVALID_THROTTLING',
+        400
+      )
+    }
+  }
+
+  return {
+    preset: networkThrottling,
+    method: throttlingMethod,
+    throttling: {
+      ...network,
+      cpuSlowdownMultiplier,
+    },
+  }
+}
+
+/**
+ * Resolve the requested Lighthouse categories
+ * Performance is always run: the score, web vitals and metrics all come from it
+ * @param {Array<string>|string} categories - Category ids (array or comma-separated)
+ * @returns {Array<string>} Category ids, performance first
+ */
+function resolveCategories(categories = ['performance']) {
+  const requested = typeof categories === 'string'
+    ? categories.split(',').map(category => category.trim()).filter(Boolean)
+    : categories
+
+  if (!Array.isArray(requested)) {
+    throw new PerformanceAnalysisError('categories must be an array of category ids', 'INVALID_CATEGORIES', 400)
+  }
+
+  const unknown = requested.filter(category => !LIGHTHOUSE_CATEGORIES.includes(category))
+  if (unknown.length > 0) {
+    throw new PerformanceAnalysisError(
+      `Unknown categories: ${unknown.join(', ')}. Use any of: ${LIGHTHOUSE_CATEGORIES.join(', ')}`,
+      'INVALID_CATEGORIES',
+      400
+    )
+  }
+
+  return LIGHTHOUSE_CATEGORIES.filter(category => category === 'performance' || requested.includes(category))
+}
+
+/**
+ * Resolve the audits reported as performance issues
+ * @param {Array<string>|string} audits - Audit ids (array or comma-separated); null = server default
+ *   (LIGHTHOUSE_AUDITS, else the registry's defaults)
+ * @returns {Array<string>} Audit ids in registry order
+ */
+function resolveAudits(audits = null) {
+  const selection = audits ?? SERVER_AUDITS
+  if (selection === null) return DEFAULT_AUDITS
+
+  const requested = typeof selection === 'string'
+    ? selection.split(',').map(audit => audit.trim()).filter(Boolean)
+    : selection
+
+  if (!Array.isArray(requested)) {
+    throw new PerformanceAnalysisError('audits must be an array of audit ids', 'INVALID_AUDITS', 400)
+  }
+
+  const unknown = requested.filter(audit => !SUPPORTED_AUDITS.includes(audit))
+  if (unknown.length > 0) {
+    throw new PerformanceAnalysisError(
+      `Unknown audits: ${unknown.join(', ')}. Use any of: ${SUPPORTED_AUDITS.join(', ')}`,
+      'INVALID_AUDITS',
+      400
+    )
+  }
+
+  return SUPPORTED_AUDITS.filter(audit => requested.includes(audit))
+}
+
+/**
+ * Launch Chromium with Playwright, with remote debugging for Lighthouse and CDP
+ * Another process can bind the free port before Chromium does. Chromium then never announces its
+ * DevTools endpoint, Playwright's launch times out, and we retry on a new port.
+ * @returns {Promise<Object>} { browser, port } - Playwright browser and its remote debugging port
+ */
+async function launchBrowser() {
+  for (let attempt = 1; ; attempt++) {
+    const port = await getFreePort()
+    try {
+      const browser = await chromium.launch({
+        headless: true,
+        timeout: LAUNCH_TIMEOUT_MS,
+        args: [
+          `--remote-debugging-port=${port}`,
+          '--no-sandbox',
+          '--disable-gpu',
+          '--disable-dev-shm-usage',
+        ]
+      })
+      return { browser, port }
+    } catch (error) {
+      const portTaken = error instanceof playwrightErrors.TimeoutError || error.message.includes('Address already in use')
+      if (!portTaken || attempt >= LAUNCH_ATTEMPTS) throw error
+      console.log(`   ⚠️ Debugging port ${port} was taken, relaunching the browser`)
+    }
+  }
+}
+
+/**
+ * Normalize the requested auth before a browser is launched, so bad input fails fast
+ * Cookie jars and cURL commands become cookies and headers; login forms are validated.
+ * @param {Object} auth - Requested auth data
+ * @param {string} url - URL being analyzed
+ * @returns {Object} { auth, login } (login is the normalized login config, or null)
+ */
+function resolveAuth(auth, url) {
+  const login = auth?.type === 'login' ? resolveLogin(auth) : null
+
+  // Cookie jars (cookies.txt, JSON lists, storageState) keep every cookie attribute, HttpOnly included
+  if (auth?.type === 'cookie-jar') {
+    const jarAuth = storageStateToAuth(parseCookieJar(auth.cookies), url, auth.type)
+    return { auth: { ...auth, cookies: jarAuth.cookies, localStorage: { ...auth.localStorage, ...jarAuth.localStorage } }, login }
+  }
+
+  // A pasted "Copy as cURL" command provides the cookie string and Authorization header
+  if (auth?.type === 'curl') {
+    const { cookies, headers, warnings } = parseCurl(auth.curl)
+    warnings.forEach(warning => console.log(`   ⚠️ ${warning}`))
+    return { auth: { ...auth, cookies, headers: { ...auth.headers, ...headers } }, login }
+  }
+
+  return { auth, login }
+}
+
+/**
+ * Sign in, run the pre-analysis steps and inject the resulting session into the browser
+ * @param {Browser} browser - Playwright browser (launched with remote debugging)
+ * @param {string} url - URL being analyzed
+ * @param {Object} options
+ * @param {Object} options.auth - Auth data (from resolveAuth)
+ * @param {Object} options.login - Normalized login config, or null
+ * @param {Function} options.beforeAnalysis - Pre-analysis steps, or null
+ * @param {Object} options.viewport - Viewport for the login and setup pages
+ * @param {number} options.port - Remote debugging port of the browser
+ * @param {Function} options.reportProgress - Called with (phase, message)
+ * @returns {Promise<Object>} { auth, extraHeaders } - the session's auth data and headers for every request
+ */
+async function establishSession(browser, url, { auth, login, beforeAnalysis, viewport, port, reportProgress = () => {} }) {
+  let session = auth
+
+  // Sign in first so Lighthouse only starts once the login is confirmed
+  if (login) {
+    reportProgress('auth', `Logging in at ${new URL(login.loginUrl).host}`)
+    const loginState = await performLogin(browser, login, { viewport })
+    session = storageStateToAuth(loginState, url)
+  }
+
+  // Execute custom pre-analysis steps if provided
+  if (beforeAnalysis && typeof beforeAnalysis === 'function') {
+    console.log('   Executing custom pre-analysis steps...')
+    reportProgress('setup', 'Running pre-analysis steps')
+    const context = await browser.newContext({ viewport })
+    let setupState
+    try {
+      const page = await context.newPage()
+      await beforeAnalysis(page, context)
+      setupState = await context.storageState()
+    } finally {
+      await context.close().catch(() => {})
+    }
+    console.log('   Custom pre-analysis steps completed')
+
+    // Carry the session the steps produced (e.g. an SSO login) over to Lighthouse's browser context
+    const setupAuth = storageStateToAuth(setupState, url, 'setup')
+    if (setupAuth.cookies.length > 0 || Object.keys(setupAuth.localStorage).length > 0) {
+      session = {
+        ...session,
+        type: session?.type || setupAuth.type,
+        cookies: [...(typeof session?.cookies === 'string' ? [session.cookies] : session?.cookies || []), ...setupAuth.cookies],
+        localStorage: { ...session?.localStorage, ...setupAuth.localStorage },
+      }
+    }
+  }
+
+  // This injects cookies/storage AND returns headers for Lighthouse
+  if (!session) {
+    return { auth: null, extraHeaders: {} }
+  }
+  reportProgress('auth', 'Injecting authentication')
+  const { extraHeaders = {} } = await injectAuthentication(browser, url, session, port) || {}
+  return { auth: session, extraHeaders }
+}
+
+/**
+ * Playwright context options, cookies and storage that reproduce a session in a new context
+ * @param {string} url - URL being analyzed
+ * @param {Object} auth - Session auth data (from establishSession)
+ * @param {Object} options - { viewport, extraHeaders }
+ * @returns {Object} { contextOptions, cookies, storage }
+ */
+function sessionPageOptions(url, auth, { viewport, extraHeaders = null }) {
+  return {
+    contextOptions: {
+      viewport,
+      ...(extraHeaders && Object.keys(extraHeaders).length > 0 && { extraHTTPHeaders: extraHeaders }),
+    },
+    cookies: auth?.cookies ? contextCookies(auth.cookies, new URL(url).hostname) : [],
+    storage: { localStorage: auth?.localStorage, sessionStorage: auth?.sessionStorage },
+  }
+}
+
 /**
  * Analyze page performance using Lighthouse
  * Uses Playwright for browser automation (supports authenticated page analysis)
@@ -302,68 +677,132 @@ class PerformanceAnalysisError extends Error {
  * @param {string} url - URL to analyze
  * @param {Object} options - Analysis options
  * @param {string} options.deviceType - 'desktop' or 'mobile'
- * @param {Object} options.auth - Authentication data (cookies, localStorage, etc.)
+ * @param {string} options.networkThrottling - Network preset ('wifi', '4g', '3g', 'slow-3g')
+ * @param {number} options.cpuThrottling - CPU slowdown multiplier (defaults to the device's)
+ * @param {string} options.throttlingMethod - 'simulate', 'devtools' or 'provided'
+ * @param {Array<string>} options.categories - Lighthouse categories to run (performance is always included)
+ * @param {Array<string>} options.audits - Audits reported as performance issues (default: LIGHTHOUSE_AUDITS or the registry's defaults)
+ * @param {Array<Object>} options.interactions - Clicks, typing and scrolls ({ type, selector, text }) replayed after load to measure INP
+ * @param {number} options.timeout - Max time to wait for page load in milliseconds
+ * @param {Object} options.auth - Authentication data (cookies, localStorage, etc.), a cookie jar
+ *   ({ type: 'cookie-jar', cookies: cookies.txt | JSON list | storageState }), a copied cURL command
+ *   ({ type: 'curl', curl }) or a login form to sign in
+ *   through first ({ type: 'login', loginUrl, username, password, selectors, successUrl, successSelector })
+ * @param {Object|boolean} options.verifyAuth - Check the auth works before running Lighthouse
+ *   ({ urlPattern, selector, absentText }, or true to only require no redirect); fails with AUTH_FAILED
  * @param {Function} options.beforeAnalysis - Callback for pre-navigation steps
+ * @param {AbortSignal} options.signal - Cancels the analysis (closes the browser)
+ * @param {Function} options.onProgress - Called with { phase, message, level } as the run advances
  * @returns {Promise<Object>} Lighthouse performance data
  */
 async function analyzePerformance(url, options = {}) {
   const {
     // Default to 'mobile' to match Chrome DevTools Lighthouse default behavior
     deviceType = 'mobile', // 'desktop' or 'mobile'
-    auth = null, // Authentication data
+    networkThrottling = '4g',
+    cpuThrottling = null, // null = device default
+    throttlingMethod = 'simulate',
+    categories = ['performance'],
+    audits = null, // null = server default
+    interactions = null, // Scripted interactions for INP
+    timeout = 45000, // Lighthouse's default maxWaitForLoad
+    auth: requestedAuth = null, // Authentication data
+    verifyAuth = null, // Success rules checked before Lighthouse (true = not redirected)
     beforeAnalysis = null, // Callback for authenticated page setup
+    signal = null, // AbortSignal for cancellation
+    onProgress = null, // Progress callback for live status updates
   } = options
 
   let browser = null
+  // Cookie jars, cURL commands and login forms are replaced by the session they produce
+  let auth = requestedAuth
+
+  // Progress listeners must never break the analysis itself
+  const reportProgress = (phase, message, level = 'info') => {
+    if (!onProgress) return
+    try {
+      onProgress({ phase, message, level })
+    } catch (e) {
+      console.error('Progress listener error:', e.message)
+    }
+  }
+
+  // Closing the browser makes the in-flight Lighthouse run fail fast
+  const onAbort = () => {
+    console.log('   🛑 Analysis cancelled - closing browser')
+    browser?.close().catch(() => {})
+  }
 
   try {
+    if (signal?.aborted) {
+      throw new PerformanceAnalysisError('Analysis cancelled', 'CANCELLED', 409)
+    }
+
+    // Resolve throttling first so invalid options fail before launching a browser
+    const throttlingSettings = resolveThrottling({ networkThrottling, deviceType, cpuThrottling, throttlingMethod })
+    const onlyCategories = resolveCategories(categories)
+    const issueAudits = resolveAudits(audits)
+    const interactionSteps = resolveInteractions(interactions)
+    const authCheck = verifyAuth ? resolveAuthCheck(verifyAuth) : null
+    const resolved = resolveAuth(auth, url)
+    auth = resolved.auth
+
     console.log(`🚀 Starting Lighthouse analysis for: ${url}`)
     console.log(`   Device: ${deviceType}`)
+    console.log(`   Network: ${throttlingSettings.preset} (${throttlingSettings.method})`)
+    console.log(`   Categories: ${onlyCategories.join(', ')}`)
     console.log(`   Browser: Playwright (Chromium)`)
     if (auth) console.log(`   Auth: ${auth.type}`)
 
     // Launch Chromium with Playwright (with remote debugging for Lighthouse)
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        `--remote-debugging-port=${DEBUGGING_PORT}`,
-        '--no-sandbox',
-        '--disable-gpu',
-        '--disable-dev-shm-usage',
-      ]
-    })
+    reportProgress('launch', 'Launching browser')
+    signal?.addEventListener('abort', onAbort, { once: true })
+    const launched = await launchBrowser()
+    browser = launched.browser
+    const debuggingPort = launched.port
+
+    // onAbort found no browser to close if the cancel came while launching; finally closes it
+    if (signal?.aborted) {
+      throw new PerformanceAnalysisError('Analysis cancelled', 'CANCELLED', 409)
+    }
 
-    console.log(`   Browser launched on debugging port ${DEBUGGING_PORT}`)
+    console.log(`   Browser launched on debugging port ${debuggingPort}`)
 
     // Lighthouse flags
     const flags = {
-      port: DEBUGGING_PORT,
+      port: debuggingPort,
       output: 'json',
       logLevel: 'error',
-      onlyCategories: ['performance'],
+      onlyCategories,
     }
 
-    // Handle authentication if provided
-    // This injects cookies/storage AND returns headers for Lighthouse
-    if (auth) {
-      const authResult = await injectAuthentication(browser, url, auth)
-      
-      // Add extracted headers to Lighthouse flags
-      if (authResult?.extraHeaders && Object.keys(authResult.extraHeaders).length > 0) {
-        flags.extraHeaders = authResult.extraHeaders
-        console.log(`   📋 Total headers for Lighthouse: ${Object.keys(authResult.extraHeaders).length}`)
-      }
+    // Sign in, run the setup steps and inject the session Lighthouse will use
+    const session = await establishSession(browser, url, {
+      auth,
+      login: resolved.login,
+      beforeAnalysis,
+      viewport: PAGE_VIEWPORTS[deviceType] || PAGE_VIEWPORTS.mobile,
+      port: debuggingPort,
+      reportProgress,
+    })
+    auth = session.auth
+    if (Object.keys(session.extraHeaders).length > 0) {
+      flags.extraHeaders = session.extraHeaders
+      console.log(`   📋 Total headers for Lighthouse: ${Object.keys(session.extraHeaders).length}`)
     }
 
-    // Execute custom pre-analysis steps if provided
-    if (beforeAnalysis && typeof beforeAnalysis === 'function') {
-      console.log('   Executing custom pre-analysis steps...')
-      const context = await browser.newContext()
-      const page = await context.newPage()
-      await beforeAnalysis(page, context)
-      await page.close()
-      await context.close()
-      console.log('   Custom pre-analysis steps completed')
+    // Stop before Lighthouse when the session doesn't reach the logged-in page
+    if (authCheck) {
+      reportProgress('auth', 'Checking that the page is logged in')
+      const verification = await checkAuthentication(browser, url, authCheck, sessionPageOptions(url, auth, {
+        viewport: PAGE_VIEWPORTS[deviceType] || PAGE_VIEWPORTS.mobile,
+        extraHeaders: flags.extraHeaders,
+      }))
+      if (!verification.loggedIn) {
+        const failed = verification.checks.filter(result => !result.passed).map(result => result.detail).join('; ')
+        throw new AuthVerificationError(`Not logged in: ${failed}`, 'AUTH_FAILED', 401, verification)
+      }
+      console.log(`   ✅ Auth check passed (${verification.checks.map(result => result.rule).join(', ')})`)
     }
 
     // Use Lighthouse's built-in desktop or mobile config
@@ -379,21 +818,26 @@ async function analyzePerformance(url, options = {}) {
       // This is the same as Chrome DevTools Mobile mode
       config = {
         extends: 'lighthouse:default',
-        settings: {
-          onlyCategories: ['performance'],
-        }
+        settings: {}
       }
     }
     
+    // Apply the requested network/CPU throttling on top of the device config
+    config.settings = config.settings || {}
+    config.settings.throttlingMethod = throttlingSettings.method
+    config.settings.throttling = { ...throttlingSettings.throttling }
+    config.settings.maxWaitForLoad = timeout
+    config.settings.onlyCategories = onlyCategories
+
     // For authenticated pages, increase timeout as they often load more data
-    if (auth) {
-      config.settings = config.settings || {}
+    if (auth && timeout < 60000) {
       config.settings.maxWaitForLoad = 60000 // 60 seconds for authenticated pages
       console.log('   ⏱️ Extended timeout for authenticated page (60s)')
     }
 
     // Run Lighthouse with official config
     console.log('   Running Lighthouse audit (matching Chrome DevTools settings)...')
+    reportProgress('lighthouse', `Running Lighthouse audit (${deviceType}, ${throttlingSettings.preset})`)
     console.log('   ⏳ This may take a minute for authenticated pages with lots of data...')
     
     const startTime = Date.now()
@@ -418,6 +862,7 @@ async function analyzePerformance(url, options = {}) {
     console.log(`     - Form Factor: ${lhr.configSettings.formFactor}`)
     console.log(`     - Throttling Method: ${lhr.configSettings.throttlingMethod}`)
     console.log(`     - CPU Slowdown: ${lhr.configSettings.throttling?.cpuSlowdownMultiplier}x`)
+    console.log(`     - RTT: ${lhr.configSettings.throttling?.rttMs}ms, Throughput: ${lhr.configSettings.throttling?.throughputKbps}Kbps`)
 
     // Take screenshot of the analyzed page for verification
     // Use the same auth headers that were passed to Lighthouse
@@ -427,11 +872,10 @@ async function analyzePerformance(url, options = {}) {
     
     try {
       console.log('   📸 Taking screenshot of analyzed page...')
+      reportProgress('screenshot', 'Capturing screenshot')
       
       const contextOptions = {
-        viewport: deviceType === 'desktop' 
-          ? { width: 1350, height: 940 } 
-          : { width: 412, height: 823 }
+        viewport: PAGE_VIEWPORTS[deviceType] || PAGE_VIEWPORTS.mobile
       }
       
       // Add extra HTTP headers for authenticated pages (same as Lighthouse)
@@ -447,7 +891,7 @@ async function analyzePerformance(url, options = {}) {
       if (auth?.cookies) {
         try {
           const urlObj = new URL(url)
-          const cookies = parseCookies(auth.cookies, urlObj.hostname)
+          const cookies = contextCookies(auth.cookies, urlObj.hostname)
           if (cookies.length > 0) {
             await screenshotContext.addCookies(cookies)
           }
@@ -536,11 +980,53 @@ async function analyzePerformance(url, options = {}) {
       console.log('   ✅ Screenshot captured')
     } catch (screenshotError) {
       console.error('   ⚠️ Screenshot failed:', screenshotError.message)
+      reportProgress('screenshot', `Screenshot failed: ${screenshotError.message}`, 'warning')
       // Continue without screenshot - not critical
     }
 
+    // Replay the scripted interactions in a Lighthouse timespan to measure INP
+    // (a navigation run has no user input, so its INP is almost always missing)
+    let interactionData = null
+    if (interactionSteps.length > 0) {
+      reportProgress('interactions', `Replaying ${interactionSteps.length} interaction(s) to measure INP`)
+      try {
+        const timespanLhr = await measureInteractions(browser, url, interactionSteps, {
+          port: debuggingPort,
+          config: {
+            ...config,
+            settings: {
+              ...config.settings,
+              // Timespans can't be simulated; apply the same throttling to the browser instead
+              throttlingMethod: config.settings.throttlingMethod === 'simulate' ? 'devtools' : config.settings.throttlingMethod,
+            },
+          },
+          ...sessionPageOptions(url, auth, {
+            viewport: PAGE_VIEWPORTS[deviceType] || PAGE_VIEWPORTS.mobile,
+            extraHeaders: flags.extraHeaders,
+          }),
+          timeout,
+        })
+        interactionData = { ...extractInteractionData(timespanLhr), steps: interactionSteps }
+        console.log(`   👆 INP after ${interactionSteps.length} interaction(s): ${interactionData.inp ?? 'not measured'}`)
+      } catch (interactionError) {
+        console.error('   ⚠️ Interactions failed:', interactionError.message)
+        reportProgress('interactions', `Interactions failed: ${interactionError.message}`, 'warning')
+        // Keep the navigation results - the report says why INP is missing
+        interactionData = { inp: null, steps: interactionSteps, error: interactionError.message }
+      }
+    }
+
     // Extract metrics from Lighthouse report
-    const performanceData = extractLighthouseData(lhr)
+    reportProgress('extraction', 'Extracting metrics')
+    const performanceData = extractLighthouseData(lhr, { audits: issueAudits })
+
+    // Measured INP replaces the navigation's (so run statistics and budgets use it too)
+    if (interactionData?.inp !== null && interactionData?.inp !== undefined) {
+      performanceData.webVitals.inp = interactionData.inp
+      performanceData.auditScores.inp = interactionData.inpScore
+      performanceData.displayValues.inp = interactionData.inpDisplayValue || 'N/A'
+    }
+    performanceData.interactionData = interactionData
     
     // Always pass the verified final URL from screenshot
     // This is more accurate for auth pages since screenshot uses proper auth with localStorage
@@ -551,16 +1037,27 @@ async function analyzePerformance(url, options = {}) {
     
     // Always set verifiedFinalUrl so report processor can use it
     performanceData.verifiedFinalUrl = verifiedFinalUrl
+
+    // Preset name is not part of the LHR, pass it along for report.meta
+    performanceData.networkThrottling = throttlingSettings.preset
     
     // Add screenshot to performance data
     performanceData.screenshot = screenshot
 
+    // Keep the untrimmed result for the Lighthouse JSON/HTML exports
+    performanceData.lhr = lhr
+
     return performanceData
 
   } catch (error) {
     console.error('Lighthouse analysis error:', error.message)
 
-    if (error.name === 'PerformanceAnalysisError') {
+    if (signal?.aborted) {
+      throw new PerformanceAnalysisError('Analysis cancelled', 'CANCELLED', 409)
+    }
+
+    // Invalid options (e.g. interactions), failed logins and setup scripts keep their own errors
+    if (['PerformanceAnalysisError', 'InteractionError', 'LoginError', 'SetupScriptError', 'CookieJarError', 'CurlImportError', 'AuthVerificationError'].includes(error.name)) {
       throw error
     }
 
@@ -587,6 +1084,7 @@ async function analyzePerformance(url, options = {}) {
     )
 
   } finally {
+    signal?.removeEventListener('abort', onAbort)
     if (browser) {
       try {
         await browser.close()
@@ -598,10 +1096,276 @@ async function analyzePerformance(url, options = {}) {
   }
 }
 
+/**
+ * Extract the score and failed audits of every category in the Lighthouse result
+ * Performance audits are extracted separately (opportunities/diagnostics), so only its score is kept
+ * @param {Object} lhr - Lighthouse result
+ * @returns {Object} Category id → { id, title, score (0-100), failedAudits }
+ */
+function extractCategoryResults(lhr) {
+  return Object.fromEntries(Object.values(lhr.categories).map(category => {
+    const failedAudits = category.id === 'performance' ? [] : category.auditRefs
+      .map(ref => ({ ref, audit: lhr.audits[ref.id] }))
+      .filter(({ audit }) =>
+        audit &&
+        SCORED_DISPLAY_MODES.includes(audit.scoreDisplayMode) &&
+        audit.score !== null &&
+        audit.score < 1
+      )
+      .map(({ ref, audit }) => ({
+        id: audit.id,
+        title: audit.title,
+        description: audit.description,
+        score: audit.score,
+        weight: ref.weight,
+        displayValue: audit.displayValue || '',
+        // Elements/resources that failed (accessibility audits report DOM nodes)
+        items: extractAuditItems(audit).filter(item => item.url || item.label),
+      }))
+      // Heaviest failures first
+      .sort((a, b) => b.weight - a.weight)
+
+    return [category.id, {
+      id: category.id,
+      title: category.title,
+      score: category.score === null ? null : Math.round(category.score * 100),
+      failedAudits,
+    }]
+  }))
+}
+
+/**
+ * Extract the filmstrip of the audited load
+ * Markers use the observed (unthrottled trace) timings: the frames come from the same trace,
+ * while the reported FCP/LCP are simulated when throttlingMethod is 'simulate'
+ * @param {Object} audits - lhr.audits
+ * @returns {Object} { frames: [{ timing, data }], finalScreenshot, markers: { fcp, lcp, load } }
+ */
+function extractFilmstrip(audits) {
+  const observed = audits['metrics']?.details?.items?.[0] || {}
+  const finalScreenshot = audits['final-screenshot']?.details
+
+  return {
+    frames: (audits['screenshot-thumbnails']?.details?.items || []).map(frame => ({
+      timing: frame.timing,
+      data: frame.data,
+    })),
+    finalScreenshot: finalScreenshot?.data
+      ? { timing: finalScreenshot.timing ?? null, data: finalScreenshot.data }
+      : null,
+    markers: {
+      fcp: observed.observedFirstContentfulPaint ?? null,
+      lcp: observed.observedLargestContentfulPaint ?? null,
+      load: observed.observedLoad ?? null,
+    },
+  }
+}
+
+/**
+ * Extract every request of the audited load from the network-requests audit
+ * Render-blocking requests come from render-blocking-resources; LCP-critical ones are the
+ * initiator chain of the LCP resource from prioritize-lcp-image (document → ... → LCP image)
+ * @param {Object} audits - lhr.audits
+ * @returns {Array<Object>} Requests in load order
+ */
+function extractNetworkRequests(audits) {
+  const renderBlocking = new Set(
+    (audits['render-blocking-resources']?.details?.items || []).map(item => item.url)
+  )
+  const lcpInitiatorPath = audits['prioritize-lcp-image']?.details?.debugData?.initiatorPath || []
+  const lcpCritical = new Set(lcpInitiatorPath.map(item => item.url))
+  // The path starts at the LCP resource itself
+  const lcpResourceUrl = lcpInitiatorPath[0]?.url || null
+
+  return (audits['network-requests']?.details?.items || []).map(item => {
+    // Lighthouse 10 renamed startTime/endTime to networkRequestTime/networkEndTime
+    const startTime = item.networkRequestTime ?? item.startTime ?? null
+    const endTime = item.networkEndTime ?? item.endTime ?? null
+
+    return {
+      url: item.url,
+      resourceType: item.resourceType || 'Other',
+      mimeType: item.mimeType || null,
+      protocol: item.protocol || null,
+      priority: item.priority || null,
+      statusCode: item.statusCode ?? null,
+      startTime,
+      endTime,
+      transferSize: item.transferSize || 0,
+      resourceSize: item.resourceSize || 0,
+      finished: item.finished !== false,
+      fromMainFrame: Boolean(item.experimentalFromMainFrame),
+      entity: item.entity || null,
+      // Nothing came over the wire for a body we have (memory/disk cache) or the server said 304
+      cached: item.statusCode === 304 || (item.transferSize === 0 && item.resourceSize > 0),
+      renderBlocking: renderBlocking.has(item.url),
+      lcpCritical: lcpCritical.has(item.url),
+      lcpResource: item.url === lcpResourceUrl,
+    }
+  })
+}
+
+// LCP phases in the order largest-contentful-paint-element lists them (its labels are localized)
+const LCP_PHASES = ['ttfb', 'loadDelay', 'loadTime', 'renderDelay']
+
+// INP phases as keyed in work-during-interaction's debug data
+const INP_PHASES = ['inputDelay', 'processingTime', 'presentationDelay']
+
+/**
+ * Element fields of a Lighthouse node item
+ * @param {Object} node - Node value from audit details
+ * @returns {Object|null} { selector, snippet, nodeLabel, path, boundingRect }
+ */
+function extractNode(node) {
+  if (!node) return null
+  return {
+    selector: node.selector || null,
+    snippet: node.snippet || null,
+    nodeLabel: node.nodeLabel || null,
+    path: node.path || null,
+    // CSS pixels in the emulated viewport
+    boundingRect: node.boundingRect || null,
+  }
+}
+
+/**
+ * Extract INP, its phases and the interaction target from a timespan result
+ * @param {Object} lhr - Lighthouse timespan result
+ * @returns {Object} { inp, inpScore, inpDisplayValue, interactionType, element, phases, cls, tbt }
+ */
+function extractInteractionData(lhr) {
+  const audits = lhr.audits
+  // Renamed from the experimental id in Lighthouse 11
+  const inpAudit = audits['experimental-interaction-to-next-paint'] || audits['interaction-to-next-paint']
+  const workItems = audits['work-during-interaction']?.details?.items || []
+  const debugData = workItems.find(item => item.type === 'debugdata')
+  const elementTable = workItems.find(item => item.type === 'table' && item.items?.some(row => row.node))
+
+  return {
+    inp: inpAudit?.numericValue ?? null,
+    inpScore: inpAudit?.score ?? null,
+    inpDisplayValue: inpAudit?.displayValue || null,
+    interactionType: debugData?.interactionType || null,
+    element: extractNode(elementTable?.items.find(row => row.node).node),
+    // Trace timestamps are in microseconds
+    phases: debugData?.phases
+      ? Object.fromEntries(INP_PHASES.map(phase => {
+        const times = debugData.phases[phase]
+        return [phase, times ? (times.endTs - times.startTs) / 1000 : null]
+      }))
+      : null,
+    // Shifts and blocking during the interactions only
+    cls: audits['cumulative-layout-shift']?.numericValue ?? null,
+    tbt: audits['total-blocking-time']?.numericValue ?? null,
+  }
+}
+
+/**
+ * Extract the LCP element, its phase breakdown and whether it was lazy-loaded
+ * @param {Object} audits - lhr.audits
+ * @returns {Object} { element, phases: { ttfb, loadDelay, loadTime, renderDelay }, lazyLoaded }
+ */
+function extractLcpDetails(audits) {
+  const details = audits['largest-contentful-paint-element']?.details
+  // Lighthouse 10+: a list of [element table, phase table]; older versions: just the element table
+  const [elementTable, phaseTable] = details?.type === 'list' ? details.items : [details, null]
+
+  const phaseItems = phaseTable?.items || []
+  const phases = phaseItems.length === LCP_PHASES.length
+    ? Object.fromEntries(LCP_PHASES.map((phase, index) => [phase, phaseItems[index].timing]))
+    : null
+
+  const lazyLoadedAudit = audits['lcp-lazy-loaded']
+  const lazyLoaded = !lazyLoadedAudit || lazyLoadedAudit.scoreDisplayMode === 'notApplicable'
+    ? null
+    : lazyLoadedAudit.score === 0
+
+  return {
+    element: extractNode(elementTable?.items?.[0]?.node),
+    phases,
+    lazyLoaded,
+  }
+}
+
+/**
+ * Extract the elements that contributed most to CLS
+ * @param {Object} audits - lhr.audits
+ * @returns {Array<Object>} Elements with their share of the CLS score
+ */
+function extractLayoutShiftElements(audits) {
+  return (audits['layout-shift-elements']?.details?.items || [])
+    .filter(item => item.node)
+    .map(item => ({
+      ...extractNode(item.node),
+      score: item.score ?? null,
+    }))
+}
+
+/**
+ * Extract where main-thread time went: per task category, per script and the longest tasks
+ * Durations include the CPU slowdown Lighthouse applied (4x on mobile)
+ * @param {Object} audits - lhr.audits
+ * @returns {Object} { totalTime, bootupTime, categories, scripts, longTasks }
+ */
+function extractMainThreadWork(audits) {
+  const breakdown = audits['mainthread-work-breakdown']
+  const bootup = audits['bootup-time']
+
+  return {
+    totalTime: breakdown?.numericValue ?? null,
+    bootupTime: bootup?.numericValue ?? null,
+    categories: (breakdown?.details?.items || []).map(item => ({
+      id: item.group,
+      label: item.groupLabel,
+      duration: item.duration,
+    })),
+    scripts: (bootup?.details?.items || []).map(item => ({
+      url: item.url,
+      total: item.total,
+      scripting: item.scripting,
+      scriptParseCompile: item.scriptParseCompile,
+    })),
+    longTasks: (audits['long-tasks']?.details?.items || []).map(item => ({
+      url: item.url,
+      startTime: item.startTime,
+      duration: item.duration,
+    })),
+  }
+}
+
+/**
+ * Extract Lighthouse's entity classification (who owns which origin) and third-party costs
+ * @param {Object} lhr - Lighthouse result (entities are top-level, not an audit)
+ * @returns {Object} { entities, thirdPartySummary }
+ */
+function extractEntityInfo(lhr) {
+  return {
+    // Lighthouse 10+; older results only have third-party-summary
+    entities: (lhr.entities || []).map(entity => ({
+      name: entity.name,
+      homepage: entity.homepage || null,
+      category: entity.category || null,
+      isFirstParty: Boolean(entity.isFirstParty),
+      isUnrecognized: Boolean(entity.isUnrecognized),
+      origins: entity.origins || [],
+    })),
+    thirdPartySummary: (lhr.audits['third-party-summary']?.details?.items || []).map(item => ({
+      // A plain name since Lighthouse 10, a link before
+      entity: typeof item.entity === 'string' ? item.entity : item.entity?.text,
+      transferSize: item.transferSize || 0,
+      blockingTime: item.blockingTime || 0,
+      mainThreadTime: item.mainThreadTime || 0,
+    })),
+  }
+}
+
 /**
  * Extract useful data from Lighthouse result
+ * @param {Object} lhr - Lighthouse result
+ * @param {Object} options
+ * @param {Array<string>} options.audits - Resolved audit ids reported as issues (default: registry defaults)
  */
-function extractLighthouseData(lhr) {
+function extractLighthouseData(lhr, { audits: issueAudits = DEFAULT_AUDITS } = {}) {
   const audits = lhr.audits
   const categories = lhr.categories
 
@@ -613,15 +1377,16 @@ function extractLighthouseData(lhr) {
   const webVitals = {
     lcp: audits['largest-contentful-paint']?.numericValue || null,
     inp: audits['experimental-interaction-to-next-paint']?.numericValue || null,
-    cls: audits['cumulative-layout-shift']?.numericValue || null,
+    cls: audits['cumulative-layout-shift']?.numericValue ?? null,
   }
 
-  // Other important metrics (TTI removed - deprecated by Lighthouse)
+  // Other important metrics (TTI no longer counts towards the score, but budgets can still use it)
   const metrics = {
     fcp: audits['first-contentful-paint']?.numericValue || null,
     si: audits['speed-index']?.numericValue || null,
     tbt: audits['total-blocking-time']?.numericValue || null,
     ttfb: audits['server-response-time']?.numericValue || null,
+    tti: audits['interactive']?.numericValue || null,
   }
 
   // Audit scores (0-1 scale)
@@ -632,6 +1397,7 @@ function extractLighthouseData(lhr) {
     cls: audits['cumulative-layout-shift']?.score,
     tbt: audits['total-blocking-time']?.score,
     si: audits['speed-index']?.score,
+    tti: audits['interactive']?.score,
   }
 
   // Display values (human readable - from Lighthouse directly)
@@ -643,56 +1409,17 @@ function extractLighthouseData(lhr) {
     tbt: audits['total-blocking-time']?.displayValue || 'N/A',
     si: audits['speed-index']?.displayValue || 'N/A',
     ttfb: audits['server-response-time']?.displayValue || 'N/A',
+    tti: audits['interactive']?.displayValue || 'N/A',
   }
 
   // Extract opportunities
   const opportunities = []
   const diagnostics = []
 
-  const opportunityAudits = [
-    'render-blocking-resources',
-    'unused-css-rules',
-    'unused-javascript',
-    'modern-image-formats',
-    'offscreen-images',
-    'unminified-css',
-    'unminified-javascript',
-    'efficient-animated-content',
-    'duplicated-javascript',
-    'legacy-javascript',
-    'preload-lcp-image',
-    'total-byte-weight',
-    'uses-responsive-images',
-    'uses-optimized-images',
-    'uses-text-compression',
-    'uses-rel-preconnect',
-    'server-response-time',
-    'redirects',
-    'uses-http2',
-    'dom-size',
-  ]
-
-  opportunityAudits.forEach(auditId => {
+  // Every item is kept; the report page paginates long lists
+  issueAudits.forEach(auditId => {
     const audit = audits[auditId]
-    if (audit && audit.score !== null && audit.score < 1) {
-      // Extract resource items (URLs/files causing the issue)
-      const resourceItems = []
-      if (audit.details?.items && Array.isArray(audit.details.items)) {
-        audit.details.items.slice(0, 10).forEach(detailItem => {
-          const resource = {
-            url: detailItem.url || detailItem.source?.url || detailItem.node?.snippet || null,
-            wastedBytes: detailItem.wastedBytes || detailItem.totalBytes || 0,
-            wastedMs: detailItem.wastedMs || 0,
-            transferSize: detailItem.transferSize || 0,
-            // For render-blocking resources
-            label: detailItem.label || null,
-          }
-          if (resource.url) {
-            resourceItems.push(resource)
-          }
-        })
-      }
-
+    if (audit && isAuditFailed(audit)) {
       const item = {
         id: auditId,
         title: audit.title,
@@ -704,8 +1431,8 @@ function extractLighthouseData(lhr) {
           bytes: audit.details?.overallSavingsBytes || 0,
           time: audit.details?.overallSavingsMs || 0,
         },
-        // Include actual resource URLs/items
-        items: resourceItems,
+        // Resources/elements behind the issue, in the registry's item shape
+        items: extractAuditItems(audit),
       }
 
       if (audit.details?.overallSavingsMs > 0 || audit.details?.overallSavingsBytes > 0) {
@@ -721,6 +1448,7 @@ function extractLighthouseData(lhr) {
   const networkInfo = {
     totalByteWeight: audits['total-byte-weight']?.numericValue || 0,
     resourceSummary: audits['resource-summary']?.details?.items || [],
+    requests: extractNetworkRequests(audits),
   }
 
   return {
@@ -732,6 +1460,12 @@ function extractLighthouseData(lhr) {
     opportunities,
     diagnostics,
     networkInfo,
+    categories: extractCategoryResults(lhr),
+    filmstrip: extractFilmstrip(audits),
+    lcpDetails: extractLcpDetails(audits),
+    layoutShiftElements: extractLayoutShiftElements(audits),
+    mainThreadWork: extractMainThreadWork(audits),
+    entityInfo: extractEntityInfo(lhr),
     timing: {
       navigationStart: 0,
       firstContentfulPaint: metrics.fcp,
@@ -751,6 +1485,9 @@ function extractLighthouseData(lhr) {
         formFactor: lhr.configSettings.formFactor,
         throttlingMethod: lhr.configSettings.throttlingMethod,
         cpuSlowdown: lhr.configSettings.throttling?.cpuSlowdownMultiplier,
+        throttling: { ...lhr.configSettings.throttling },
+        maxWaitForLoad: lhr.configSettings.maxWaitForLoad,
+        screenEmulation: lhr.configSettings.screenEmulation,
       }
     }
   }
@@ -768,6 +1505,8 @@ function extractLighthouseData(lhr) {
  * @param {string} authConfig.usernameSelector - CSS selector for username input
  * @param {string} authConfig.passwordSelector - CSS selector for password input
  * @param {string} authConfig.submitSelector - CSS selector for submit button
+ * @param {string} authConfig.successUrl - Part of the URL reached once logged in (optional)
+ * @param {string} authConfig.successSelector - Element that only shows once logged in (optional)
  * @param {Object} options - Analysis options (deviceType, etc.)
  * @returns {Promise<Object>} Lighthouse performance data
  * 
@@ -782,34 +1521,9 @@ function extractLighthouseData(lhr) {
  * })
  */
 async function analyzeAuthenticatedPage(url, authConfig, options = {}) {
-  const beforeAnalysis = async (page) => {
-    const {
-      loginUrl,
-      username,
-      password,
-      usernameSelector = 'input[name="username"], input[name="email"], #username, #email',
-      passwordSelector = 'input[name="password"], input[type="password"], #password',
-      submitSelector = 'button[type="submit"], input[type="submit"]',
-      waitAfterLogin = 2000,
-    } = authConfig
-
-    // Navigate to login page
-    await page.goto(loginUrl, { waitUntil: 'networkidle' })
-    
-    // Fill login form
-    await page.fill(usernameSelector, username)
-    await page.fill(passwordSelector, password)
-    
-    // Submit and wait for navigation
-    await page.click(submitSelector)
-    await page.waitForTimeout(waitAfterLogin)
-    
-    console.log('   ✅ Authentication completed')
-  }
-
   return analyzePerformance(url, {
     ...options,
-    beforeAnalysis,
+    auth: { ...authConfig, type: 'login' },
   })
 }
 
@@ -838,9 +1552,73 @@ async function analyzeWithSetup(url, setupFn, options = {}) {
   })
 }
 
+/**
+ * Check that auth reaches the logged-in page, without running Lighthouse
+ * The session is prepared exactly as for an analysis (login, setup steps, cookies, headers).
+ *
+ * @param {string} url - Page that needs the auth
+ * @param {Object} options
+ * @param {string} options.deviceType - 'desktop' or 'mobile' (viewport of the checked page)
+ * @param {Object} options.auth - Authentication data (same shapes as analyzePerformance)
+ * @param {Function} options.beforeAnalysis - Pre-analysis steps
+ * @param {Object|boolean} options.check - Success rules { urlPattern, selector, absentText } (default: no redirect)
+ * @returns {Promise<Object>} { url, loggedIn, finalUrl, title, checks, screenshot }
+ */
+async function verifyAuthentication(url, options = {}) {
+  const { deviceType = 'desktop', auth: requestedAuth = null, beforeAnalysis = null, check = null } = options
+  const viewport = PAGE_VIEWPORTS[deviceType] || PAGE_VIEWPORTS.mobile
+  let browser = null
+
+  try {
+    const authCheck = resolveAuthCheck(check)
+    const { auth, login } = resolveAuth(requestedAuth, url)
+
+    console.log(`🔎 Verifying authentication for: ${url}`)
+    const launched = await launchBrowser()
+    browser = launched.browser
+    const debuggingPort = launched.port
+
+    const session = await establishSession(browser, url, { auth, login, beforeAnalysis, viewport, port: debuggingPort })
+    const result = await checkAuthentication(browser, url, authCheck, sessionPageOptions(url, session.auth, {
+      viewport,
+      extraHeaders: session.extraHeaders,
+    }))
+
+    console.log(`   ${result.loggedIn ? '✅ Logged in' : '❌ Not logged in'} (${result.finalUrl})`)
+    return { url, ...result }
+
+  } catch (error) {
+    console.error('Auth verification error:', error.message)
+
+    if (['PerformanceAnalysisError', 'LoginError', 'SetupScriptError', 'CookieJarError', 'CurlImportError', 'AuthVerificationError'].includes(error.name)) {
+      throw error
+    }
+
+    if (error.message.includes('ECONNREFUSED') || error.message.includes('net::ERR')) {
+      throw new PerformanceAnalysisError('Could not connect to URL', 'NETWORK_ERROR', 502)
+    }
+
+    if (error.message.includes('timeout') || error.message.includes('Timeout')) {
+      throw new PerformanceAnalysisError('Page load timeout', 'TIMEOUT', 408)
+    }
+
+    throw new PerformanceAnalysisError(error.message || 'Failed to verify authentication', 'VERIFY_ERROR', 500)
+
+  } finally {
+    await browser?.close().catch(() => {})
+  }
+}
+
 export {
   analyzePerformance,
+  extractLighthouseData,
+  resolveThrottling,
+  resolveCategories,
+  resolveAudits,
+  LIGHTHOUSE_CATEGORIES,
+  NETWORK_PRESETS,
   analyzeAuthenticatedPage,
   analyzeWithSetup,
+  verifyAuthentication,
   PerformanceAnalysisError
 }
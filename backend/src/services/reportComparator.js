@@ -0,0 +1,246 @@
+/**
+ * Report Comparison Service
+ * Compares two processed reports (e.g. before/after a deploy) and flags regressions
+ *
+ * Metric regressions use the same thresholds as the report itself (getWebVitalStatus):
+ * a metric regresses when its status gets worse (good → needs-improvement → poor).
+ */
+
+import { getWebVitalStatus, formatTime, formatBytes } from './reportProcessor.js'
+
+class ReportComparisonError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'ReportComparisonError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+// Higher rank = worse
+const STATUS_RANK = { good: 0, 'needs-improvement': 1, poor: 2 }
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 }
+
+/**
+ * Status of the overall score, using the ScoreCard bands (90+ good, 50+ needs improvement)
+ */
+function getScoreStatus(score) {
+  if (score === null || score === undefined) return 'unknown'
+  if (score >= 90) return 'good'
+  if (score >= 50) return 'needs-improvement'
+  return 'poor'
+}
+
+/**
+ * Direction of a change where a lower value is better
+ * @returns {string} 'better', 'worse' or 'same'
+ */
+function getDirection(delta, lowerIsBetter = true) {
+  if (delta === null || delta === 0) return 'same'
+  return (delta < 0) === lowerIsBetter ? 'better' : 'worse'
+}
+
+/**
+ * Compare status ranks
+ * @returns {Object} { regressed, improved }
+ */
+function compareStatus(baselineStatus, currentStatus, ranks = STATUS_RANK) {
+  const before = ranks[baselineStatus]
+  const after = ranks[currentStatus]
+  if (before === undefined || after === undefined) {
+    return { regressed: false, improved: false }
+  }
+  return { regressed: after > before, improved: after < before }
+}
+
+function difference(baseline, current) {
+  if (typeof baseline !== 'number' || typeof current !== 'number') return null
+  return current - baseline
+}
+
+/**
+ * Compare one metric entry (webVitals.* or metrics.*)
+ */
+function compareMetric(key, baselineEntry, currentEntry) {
+  const baseline = baselineEntry?.value ?? null
+  const current = currentEntry?.value ?? null
+  const delta = difference(baseline, current)
+
+  // Status is recomputed rather than read from the file so both sides use today's thresholds
+  const baselineStatus = getWebVitalStatus(key, baseline)
+  const currentStatus = getWebVitalStatus(key, current)
+  const formatValue = key === 'cls'
+    ? (value) => value === null ? 'N/A' : value.toFixed(3)
+    : formatTime
+
+  return {
+    key,
+    label: currentEntry?.label || baselineEntry?.label || key.toUpperCase(),
+    baseline,
+    current,
+    delta,
+    baselineFormatted: formatValue(baseline),
+    currentFormatted: formatValue(current),
+    deltaFormatted: delta === null ? null : `${delta > 0 ? '+' : delta < 0 ? '-' : ''}${formatValue(Math.abs(delta))}`,
+    baselineStatus,
+    currentStatus,
+    direction: getDirection(delta),
+    ...compareStatus(baselineStatus, currentStatus),
+  }
+}
+
+function compareMetricGroup(baselineGroup = {}, currentGroup = {}) {
+  const keys = [...new Set([...Object.keys(baselineGroup), ...Object.keys(currentGroup)])]
+  return keys.map(key => compareMetric(key, baselineGroup[key], currentGroup[key]))
+}
+
+/**
+ * Compare issues by audit id; an issue only present on one side is 'new' or 'resolved'
+ */
+function compareIssues(baselineIssues = [], currentIssues = []) {
+  const baselineById = new Map(baselineIssues.map(issue => [issue.id, issue]))
+  const currentById = new Map(currentIssues.map(issue => [issue.id, issue]))
+  const ids = [...new Set([...baselineById.keys(), ...currentById.keys()])]
+
+  return ids.map(id => {
+    const before = baselineById.get(id)
+    const after = currentById.get(id)
+    const timeDelta = (after?.savings?.time || 0) - (before?.savings?.time || 0)
+    const bytesDelta = (after?.savings?.bytes || 0) - (before?.savings?.bytes || 0)
+
+    let change = 'changed'
+    if (!before) change = 'new'
+    else if (!after) change = 'resolved'
+    else if (timeDelta === 0 && bytesDelta === 0) change = 'unchanged'
+
+    // Severity plays the role of status for issues; a new issue counts from 'info'
+    const baselineSeverity = before?.severity || (after ? 'info' : null)
+    const currentSeverity = after?.severity || (before ? 'info' : null)
+
+    return {
+      id,
+      title: (after || before).title,
+      change,
+      baselineSeverity: before?.severity || null,
+      currentSeverity: after?.severity || null,
+      savings: {
+        baselineTime: before?.savings?.time || 0,
+        currentTime: after?.savings?.time || 0,
+        timeDelta,
+        timeDeltaFormatted: `${timeDelta > 0 ? '+' : timeDelta < 0 ? '-' : ''}${formatTime(Math.abs(timeDelta))}`,
+        baselineBytes: before?.savings?.bytes || 0,
+        currentBytes: after?.savings?.bytes || 0,
+        bytesDelta,
+        bytesDeltaFormatted: `${bytesDelta > 0 ? '+' : bytesDelta < 0 ? '-' : ''}${formatBytes(Math.abs(bytesDelta))}`,
+      },
+      // More potential savings means more time/bytes currently wasted
+      direction: getDirection(timeDelta !== 0 ? timeDelta : bytesDelta),
+      ...compareStatus(baselineSeverity, currentSeverity, SEVERITY_RANK),
+    }
+  })
+}
+
+/**
+ * Compare network.resourceSummary per resource type
+ */
+function compareResources(baselineNetwork = {}, currentNetwork = {}) {
+  const baselineByType = new Map((baselineNetwork.resourceSummary || []).map(item => [item.resourceType, item]))
+  const currentByType = new Map((currentNetwork.resourceSummary || []).map(item => [item.resourceType, item]))
+  const types = [...new Set([...baselineByType.keys(), ...currentByType.keys()])]
+
+  const compareSize = (baseline, current) => {
+    const delta = difference(baseline, current)
+    return {
+      baseline,
+      current,
+      delta,
+      baselineFormatted: formatBytes(baseline),
+      currentFormatted: formatBytes(current),
+      deltaFormatted: delta === null ? null : `${delta > 0 ? '+' : delta < 0 ? '-' : ''}${formatBytes(Math.abs(delta))}`,
+      direction: getDirection(delta),
+    }
+  }
+
+  return {
+    totalSize: compareSize(baselineNetwork.totalSize ?? null, currentNetwork.totalSize ?? null),
+    resourceSummary: types.map(resourceType => {
+      const before = baselineByType.get(resourceType)
+      const after = currentByType.get(resourceType)
+      const requestDelta = (after?.requestCount || 0) - (before?.requestCount || 0)
+
+      return {
+        resourceType,
+        requestCount: {
+          baseline: before?.requestCount || 0,
+          current: after?.requestCount || 0,
+          delta: requestDelta,
+          direction: getDirection(requestDelta),
+        },
+        transferSize: compareSize(before?.transferSize || 0, after?.transferSize || 0),
+      }
+    }),
+  }
+}
+
+function assertReport(report, name) {
+  if (!report || typeof report !== 'object' || typeof report.score !== 'number' || !report.webVitals) {
+    throw new ReportComparisonError(`"${name}" is not a RenderIQ report (expected a downloaded report JSON)`, 'INVALID_REPORT', 400)
+  }
+}
+
+function describeReport(report) {
+  return {
+    url: report.url,
+    analyzedAt: report.analyzedAt || report.createdAt || report.fetchTime || null,
+    deviceType: report.meta?.deviceType || null,
+    networkThrottling: report.meta?.networkThrottling || null,
+  }
+}
+
+/**
+ * Compare two reports
+ * @param {Object} baseline - Earlier report (e.g. before a deploy)
+ * @param {Object} current - Later report
+ * @returns {Object} Deltas for score, web vitals, metrics, issues and network with regression flags
+ */
+function compareReports(baseline, current) {
+  assertReport(baseline, 'baseline')
+  assertReport(current, 'current')
+
+  const scoreDelta = current.score - baseline.score
+  const score = {
+    baseline: baseline.score,
+    current: current.score,
+    delta: scoreDelta,
+    baselineStatus: getScoreStatus(baseline.score),
+    currentStatus: getScoreStatus(current.score),
+    direction: getDirection(scoreDelta, false),
+    ...compareStatus(getScoreStatus(baseline.score), getScoreStatus(current.score)),
+  }
+
+  const webVitals = compareMetricGroup(baseline.webVitals, current.webVitals)
+  const metrics = compareMetricGroup(baseline.metrics, current.metrics)
+  const issues = compareIssues(baseline.issues, current.issues)
+  const network = compareResources(baseline.network, current.network)
+
+  const flagged = [score, ...webVitals, ...metrics, ...issues]
+
+  return {
+    baseline: describeReport(baseline),
+    current: describeReport(current),
+    // Results measured under different conditions are not directly comparable
+    sameConditions: baseline.meta?.deviceType === current.meta?.deviceType &&
+      baseline.meta?.networkThrottling === current.meta?.networkThrottling,
+    score,
+    webVitals,
+    metrics,
+    issues,
+    network,
+    summary: {
+      regressions: flagged.filter(entry => entry.regressed).length,
+      improvements: flagged.filter(entry => entry.improved).length,
+    },
+  }
+}
+
+export { compareReports, ReportComparisonError }
@@ -67,6 +67,12 @@ function getWebVitalStatus(metric, value) {
       if (value <= 5800) return 'needs-improvement'
       return 'poor'
 
+    case 'tti':
+      // TTI in milliseconds (Lighthouse's scoring curve): Good ≤3800ms, Needs Improvement ≤7300ms, Poor >7300ms
+      if (value <= 3800) return 'good'
+      if (value <= 7300) return 'needs-improvement'
+      return 'poor'
+
     default:
       return 'unknown'
   }
@@ -101,6 +107,23 @@ function formatBytes(bytes) {
   return `${bytes} B`
 }
 
+/**
+ * Format audit items (the registry's item shape) for display
+ * @param {Array<Object>} items - Items from extractAuditItems
+ * @returns {Array<Object>} Files with url, label, note and formatted size/time
+ */
+function processAuditItems(items = []) {
+  return items.map(item => ({
+    url: item.url,
+    label: item.label,
+    note: item.note,
+    size: item.wastedBytes || item.transferSize || 0,
+    sizeFormatted: formatBytes(item.wastedBytes || item.transferSize || 0),
+    wastedMs: item.wastedMs || 0,
+    wastedMsFormatted: item.wastedMs ? formatTime(item.wastedMs) : null,
+  }))
+}
+
 /**
  * Categorize issues by severity
  * @param {Array} opportunities - Array of opportunity items
@@ -122,13 +145,7 @@ function categorizeIssues(opportunities, diagnostics) {
     }
 
     // Format resource items for display
-    const files = (opp.items || []).map(item => ({
-      url: item.url,
-      size: item.wastedBytes || item.transferSize || 0,
-      sizeFormatted: formatBytes(item.wastedBytes || item.transferSize || 0),
-      wastedMs: item.wastedMs || 0,
-      wastedMsFormatted: item.wastedMs ? formatTime(item.wastedMs) : null,
-    }))
+    const files = processAuditItems(opp.items)
 
     issues.push({
       id: opp.id,
@@ -150,13 +167,7 @@ function categorizeIssues(opportunities, diagnostics) {
   // Process diagnostics (no direct savings but important)
   diagnostics.forEach(diag => {
     // Format resource items for display
-    const files = (diag.items || []).map(item => ({
-      url: item.url,
-      size: item.wastedBytes || item.transferSize || 0,
-      sizeFormatted: formatBytes(item.wastedBytes || item.transferSize || 0),
-      wastedMs: item.wastedMs || 0,
-      wastedMsFormatted: item.wastedMs ? formatTime(item.wastedMs) : null,
-    }))
+    const files = processAuditItems(diag.items)
 
     issues.push({
       id: diag.id,
@@ -173,6 +184,47 @@ function categorizeIssues(opportunities, diagnostics) {
   return issues
 }
 
+/**
+ * Process category scores and failed audits (accessibility, best practices, SEO)
+ * @param {Object} categories - Category results from the analyzer
+ * @returns {Object} Category id → { id, title, score, issues }
+ */
+function processCategories(categories = {}) {
+  return Object.fromEntries(Object.values(categories).map(category => {
+    const processed = {
+      id: category.id,
+      title: category.title,
+      score: category.score,
+    }
+
+    // Performance issues are the opportunities/diagnostics in report.issues
+    if (category.id !== 'performance') {
+      processed.issues = category.failedAudits.map(audit => {
+        // Lighthouse weights say how much an audit counts towards the category score
+        let severity = 'info'
+        if (audit.weight >= 7) {
+          severity = 'critical'
+        } else if (audit.weight > 0) {
+          severity = 'warning'
+        }
+
+        return {
+          id: audit.id,
+          title: audit.title,
+          description: audit.description,
+          severity,
+          displayValue: audit.displayValue,
+          savings: { time: 0, bytes: 0 },
+          score: audit.score,
+          files: processAuditItems(audit.items),
+        }
+      })
+    }
+
+    return [category.id, processed]
+  }))
+}
+
 /**
  * Process Lighthouse data into structured report for UI
  * @param {Object} lighthouseData - Data from Lighthouse analyzer
@@ -188,8 +240,16 @@ function processReport(lighthouseData) {
     opportunities,
     diagnostics,
     networkInfo,
+    categories, // Scores and failed audits per Lighthouse category
+    filmstrip, // Lighthouse screenshot thumbnails, final screenshot and observed FCP/LCP/load
+    lcpDetails, // LCP element, phase breakdown and lazy-loading
+    layoutShiftElements, // Elements that shifted the most (CLS culprits)
+    mainThreadWork, // Main-thread time per task category and script, long tasks
+    interactionData, // INP measured by replaying scripted interactions (null when none were requested)
+    entityInfo, // Entity classification and third-party-summary costs
     raw,
     originalUrl, // Added for redirect detection
+    networkThrottling, // Network preset requested (e.g. '4g')
     screenshot, // Screenshot of analyzed page (base64)
     verifiedFinalUrl, // Final URL verified with auth (from screenshot page)
   } = lighthouseData
@@ -203,6 +263,9 @@ function processReport(lighthouseData) {
       displayValue: displayValues.lcp,
       status: getWebVitalStatus('lcp', webVitals.lcp),
       score: auditScores.lcp,
+      element: lcpDetails?.element || null,
+      phases: processPhases(lcpDetails?.phases, LCP_PHASE_LABELS),
+      lazyLoaded: lcpDetails?.lazyLoaded ?? null,
     },
     inp: {
       value: webVitals.inp,
@@ -210,7 +273,12 @@ function processReport(lighthouseData) {
       displayValue: displayValues.inp,
       status: getWebVitalStatus('inp', webVitals.inp),
       score: auditScores.inp,
-      note: webVitals.inp === null ? 'INP requires user interaction during page load.' : null,
+      note: inpNote(webVitals.inp, interactionData),
+      // Set when INP comes from scripted interactions rather than the page load
+      measured: webVitals.inp !== null && Boolean(interactionData),
+      interactionType: interactionData?.interactionType || null,
+      element: interactionData?.element || null,
+      phases: processPhases(interactionData?.phases, INP_PHASE_LABELS),
     },
     cls: {
       value: webVitals.cls,
@@ -218,10 +286,20 @@ function processReport(lighthouseData) {
       displayValue: displayValues.cls,
       status: getWebVitalStatus('cls', webVitals.cls),
       score: auditScores.cls,
+      elements: (layoutShiftElements || []).map(element => ({
+        ...element,
+        scoreFormatted: element.score !== null ? element.score.toFixed(3) : 'N/A',
+      })),
+      // Layout shifts caused by the scripted interactions (not part of the load's CLS)
+      duringInteractions: interactionData?.cls !== null && interactionData?.cls !== undefined ? {
+        value: interactionData.cls,
+        valueFormatted: interactionData.cls.toFixed(3),
+        status: getWebVitalStatus('cls', interactionData.cls),
+      } : null,
     },
   }
 
-  // Process other metrics (TTI removed - deprecated by Lighthouse)
+  // Process other metrics (TTI isn't scored any more; it is kept for budgets)
   const processedMetrics = {
     fcp: {
       value: metrics.fcp,
@@ -254,6 +332,14 @@ function processReport(lighthouseData) {
       status: getWebVitalStatus('ttfb', metrics.ttfb),
       label: 'Time to First Byte',
     },
+    tti: {
+      value: metrics.tti,
+      valueFormatted: formatTime(metrics.tti),
+      displayValue: displayValues.tti,
+      status: getWebVitalStatus('tti', metrics.tti),
+      score: auditScores.tti,
+      label: 'Time to Interactive',
+    },
   }
 
   // Categorize and process issues
@@ -269,6 +355,7 @@ function processReport(lighthouseData) {
       transferSize: item.transferSize,
       transferSizeFormatted: formatBytes(item.transferSize),
     })),
+    requests: processNetworkRequests(networkInfo.requests, entityInfo?.entities),
   }
 
   // Check for URL redirect (indicates possible auth failure)
@@ -313,14 +400,44 @@ function processReport(lighthouseData) {
     
     // Performance issues/opportunities
     issues,
+
+    // Per-category scores (0-100) and failed audits for accessibility, best practices and SEO
+    categories: processCategories(categories),
     
     // Network information
     network,
+
+    // Frames of the audited load with FCP/LCP/load markers
+    timeline: processTimeline(filmstrip),
+
+    // Where main-thread (and JavaScript) time went - what TBT is made of
+    mainThread: processMainThread(mainThreadWork),
+
+    // Page weight and blocking time per owner (first party vs. each third party)
+    thirdParties: processThirdParties(entityInfo, network.requests, mainThreadWork),
     
     // Metadata
     meta: {
       lighthouseVersion: raw.lighthouseVersion,
       userAgent: raw.userAgent,
+      deviceType: raw.configSettings?.formFactor || null,
+      networkThrottling: networkThrottling || null,
+      // Throttling Lighthouse actually applied (read back from the LHR, not from the request)
+      throttling: processThrottling(raw.configSettings),
+      maxWaitForLoad: raw.configSettings?.maxWaitForLoad || null,
+      // Emulated viewport the element bounding rects refer to
+      viewport: raw.configSettings?.screenEmulation?.width
+        ? { width: raw.configSettings.screenEmulation.width, height: raw.configSettings.screenEmulation.height }
+        : null,
+      // Scripted interactions replayed for INP (and why they failed, if they did)
+      interactions: interactionData
+        ? {
+          steps: interactionData.steps,
+          error: interactionData.error || null,
+          tbt: interactionData.tbt ?? null,
+          tbtFormatted: formatTime(interactionData.tbt ?? null),
+        }
+        : null,
     },
     
     // Screenshot of analyzed page (base64 JPEG)
@@ -328,6 +445,353 @@ function processReport(lighthouseData) {
   }
 }
 
+/**
+ * Add the fields the waterfall filters and sorts on
+ * @param {Array<Object>} requests - Requests from the network-requests audit
+ * @param {Array<Object>} entities - Entity classification (to attribute requests older LHRs left unattributed)
+ * @returns {Array<Object>} Requests with domain, entity, duration and formatted values
+ */
+function processNetworkRequests(requests = [], entities = []) {
+  const entityByOrigin = new Map()
+  entities.forEach(entity => entity.origins.forEach(origin => entityByOrigin.set(origin, entity.name)))
+
+  return requests.map(request => {
+    let domain = null
+    try {
+      domain = new URL(request.url).hostname
+    } catch {
+      // data: URIs and the like have no host
+    }
+    const duration = request.startTime !== null && request.endTime !== null
+      ? Math.max(request.endTime - request.startTime, 0)
+      : null
+
+    let entity = request.entity
+    if (!entity) {
+      try {
+        entity = entityByOrigin.get(new URL(request.url).origin) || null
+      } catch {
+        entity = null
+      }
+    }
+
+    return {
+      ...request,
+      domain,
+      entity,
+      duration,
+      durationFormatted: formatTime(duration),
+      transferSizeFormatted: formatBytes(request.transferSize),
+      resourceSizeFormatted: formatBytes(request.resourceSize),
+    }
+  })
+}
+
+/**
+ * Main-thread and blocking time per owner, attributed by script URL the same way as requests
+ * Main-thread time is each script's bootup-time total; blocking time is each long task's time over 50ms.
+ * @param {Object} mainThreadWork - Main-thread data extracted from the LHR (scripts, longTasks)
+ * @param {Array<Object>} requests - Processed network requests (with entity)
+ * @param {Array<Object>} entities - Entity classification (origins per owner)
+ * @returns {Map|null} Owner name → { mainThreadTime, blockingTime }, or null without per-script data
+ */
+function attributeMainThreadCost(mainThreadWork, requests = [], entities = []) {
+  const scripts = mainThreadWork?.scripts || []
+  const longTasks = mainThreadWork?.longTasks || []
+  if (scripts.length === 0 && longTasks.length === 0) return null
+
+  const ownerByUrl = new Map(requests.map(request => [request.url, request.entity || request.domain]))
+  const ownerByOrigin = new Map()
+  entities.forEach(entity => entity.origins.forEach(origin => ownerByOrigin.set(origin, entity.name)))
+
+  const ownerOf = (url) => {
+    if (ownerByUrl.get(url)) return ownerByUrl.get(url)
+    try {
+      const parsed = new URL(url)
+      return ownerByOrigin.get(parsed.origin) || parsed.hostname || null
+    } catch {
+      // "Unattributable" and other non-URLs
+      return null
+    }
+  }
+
+  const costs = new Map()
+  const addCost = (url, key, value) => {
+    const owner = ownerOf(url)
+    if (!owner || !(value > 0)) return
+    const cost = costs.get(owner) || { mainThreadTime: 0, blockingTime: 0 }
+    cost[key] += value
+    costs.set(owner, cost)
+  }
+
+  scripts.forEach(script => addCost(script.url, 'mainThreadTime', script.total))
+  longTasks.forEach(task => addCost(task.url, 'blockingTime', task.duration - 50))
+  return costs
+}
+
+/**
+ * Group requests and main-thread cost by entity (owner)
+ * Main-thread and blocking time are attributed per script URL (bootup-time, long-tasks) so the first
+ * party is measured like every third party; LHRs without those details fall back to third-party-summary,
+ * which only covers third parties (the first party's are then null)
+ * @param {Object} entityInfo - Entities and third-party summary from the LHR
+ * @param {Array<Object>} requests - Processed network requests (with entity)
+ * @param {Object} mainThreadWork - Main-thread data extracted from the LHR (scripts, longTasks)
+ * @returns {Object|null} { entities, thirdParty, total } or null when nothing could be attributed
+ */
+function processThirdParties(entityInfo, requests = [], mainThreadWork = null) {
+  const known = new Map((entityInfo?.entities || []).map(entity => [entity.name, entity]))
+  const costs = new Map((entityInfo?.thirdPartySummary || []).map(item => [item.entity, item]))
+  const attributed = attributeMainThreadCost(mainThreadWork, requests, entityInfo?.entities)
+  const groups = new Map()
+
+  const groupFor = (name) => {
+    if (!groups.has(name)) {
+      const entity = known.get(name)
+      groups.set(name, {
+        name,
+        category: entity?.category || null,
+        homepage: entity?.homepage || null,
+        isFirstParty: Boolean(entity?.isFirstParty),
+        requestCount: 0,
+        transferSize: 0,
+        blockingTime: null,
+        mainThreadTime: null,
+      })
+    }
+    return groups.get(name)
+  }
+
+  requests.forEach(request => {
+    // Requests Lighthouse couldn't classify are grouped by host
+    const group = groupFor(request.entity || request.domain || 'Other')
+    group.requestCount += 1
+    group.transferSize += request.transferSize
+  })
+
+  costs.forEach((cost, name) => {
+    const group = groupFor(name)
+    if (!attributed) {
+      group.blockingTime = cost.blockingTime
+      group.mainThreadTime = cost.mainThreadTime
+    }
+    // Older LHRs don't list requests per entity; fall back to the audit's total
+    if (group.requestCount === 0) group.transferSize = cost.transferSize
+  })
+
+  if (attributed) {
+    attributed.forEach((_, name) => groupFor(name))
+    groups.forEach((group, name) => {
+      group.mainThreadTime = attributed.get(name)?.mainThreadTime ?? 0
+      group.blockingTime = attributed.get(name)?.blockingTime ?? 0
+    })
+  }
+
+  if (groups.size === 0) return null
+
+  const totalSize = requests.reduce((sum, request) => sum + request.transferSize, 0)
+
+  const entities = [...groups.values()]
+    .map(group => ({
+      ...group,
+      transferSizeFormatted: formatBytes(group.transferSize),
+      blockingTimeFormatted: group.blockingTime === null ? 'N/A' : formatTime(group.blockingTime),
+      mainThreadTimeFormatted: group.mainThreadTime === null ? 'N/A' : formatTime(group.mainThreadTime),
+      sizePercent: totalSize > 0 ? Math.round((group.transferSize / totalSize) * 100) : 0,
+    }))
+    // First party first, then the most blocking, then the heaviest
+    .sort((a, b) =>
+      Number(b.isFirstParty) - Number(a.isFirstParty) ||
+      (b.blockingTime || 0) - (a.blockingTime || 0) ||
+      b.transferSize - a.transferSize
+    )
+
+  const thirdParties = entities.filter(entity => !entity.isFirstParty)
+  const thirdPartySize = thirdParties.reduce((sum, entity) => sum + entity.transferSize, 0)
+  const thirdPartyBlocking = thirdParties.reduce((sum, entity) => sum + (entity.blockingTime || 0), 0)
+
+  return {
+    entities,
+    // Without an identified first party every group counts as third party
+    hasFirstParty: entities.some(entity => entity.isFirstParty),
+    thirdParty: {
+      entityCount: thirdParties.length,
+      requestCount: thirdParties.reduce((sum, entity) => sum + entity.requestCount, 0),
+      transferSize: thirdPartySize,
+      transferSizeFormatted: formatBytes(thirdPartySize),
+      sizePercent: totalSize > 0 ? Math.round((thirdPartySize / totalSize) * 100) : 0,
+      blockingTime: thirdPartyBlocking,
+      blockingTimeFormatted: formatTime(thirdPartyBlocking),
+    },
+    total: {
+      requestCount: requests.length,
+      transferSize: totalSize,
+      transferSizeFormatted: formatBytes(totalSize),
+    },
+  }
+}
+
+/**
+ * Explain a missing INP
+ * @param {number|null} inp - INP in ms
+ * @param {Object|null} interactionData - Interaction results (null when none were requested)
+ * @returns {string|null} Note shown instead of the value
+ */
+function inpNote(inp, interactionData) {
+  if (inp !== null) return null
+  if (interactionData?.error) return `INP not measured: ${interactionData.error}`
+  if (interactionData) return 'The interactions did not trigger any input Chrome reports for INP (scrolling does not count).'
+  return 'INP needs user input: add interactions (clicks, typing) to the analysis to measure it.'
+}
+
+// Phase labels (Lighthouse's own are localized)
+const LCP_PHASE_LABELS = {
+  ttfb: 'Time to First Byte',
+  loadDelay: 'Resource load delay',
+  loadTime: 'Resource load time',
+  renderDelay: 'Element render delay',
+}
+
+const INP_PHASE_LABELS = {
+  inputDelay: 'Input delay',
+  processingTime: 'Processing time',
+  presentationDelay: 'Presentation delay',
+}
+
+/**
+ * Label and format a metric's phase breakdown (LCP or INP)
+ * @param {Object} phases - Phase id → duration in ms
+ * @param {Object} labels - Phase id → label, in order
+ * @returns {Array<Object>|null} Phases in order with timing and share of the metric
+ */
+function processPhases(phases, labels) {
+  if (!phases) return null
+
+  const total = Object.values(phases).reduce((sum, timing) => sum + (timing || 0), 0)
+
+  return Object.entries(labels).map(([id, label]) => ({
+    id,
+    label,
+    timing: phases[id],
+    timingFormatted: formatTime(phases[id]),
+    percent: total > 0 ? Math.round((phases[id] / total) * 100) : 0,
+  }))
+}
+
+/**
+ * Format the main-thread breakdown
+ * @param {Object} mainThreadWork - Main-thread data extracted from the LHR
+ * @returns {Object|null} { totalTime, bootupTime, categories, scripts, longTasks } or null when not measured
+ */
+function processMainThread(mainThreadWork) {
+  if (!mainThreadWork?.categories?.length) return null
+
+  // Lighthouse's task groups (its own labels are localized)
+  const categoryLabels = {
+    scriptEvaluation: 'Script Evaluation',
+    scriptParseCompile: 'Script Parsing & Compilation',
+    styleLayout: 'Style & Layout',
+    paintCompositeRender: 'Rendering',
+    parseHTML: 'Parse HTML & CSS',
+    garbageCollection: 'Garbage Collection',
+    other: 'Other',
+  }
+
+  const { totalTime, bootupTime } = mainThreadWork
+  const categoryTotal = mainThreadWork.categories.reduce((sum, category) => sum + category.duration, 0)
+
+  return {
+    totalTime,
+    totalTimeFormatted: formatTime(totalTime),
+    bootupTime,
+    bootupTimeFormatted: formatTime(bootupTime),
+    categories: mainThreadWork.categories
+      .map(category => ({
+        id: category.id,
+        label: categoryLabels[category.id] || category.label,
+        duration: category.duration,
+        durationFormatted: formatTime(category.duration),
+        percent: categoryTotal > 0 ? Math.round((category.duration / categoryTotal) * 100) : 0,
+      }))
+      .sort((a, b) => b.duration - a.duration),
+    scripts: mainThreadWork.scripts
+      .map(script => ({
+        ...script,
+        totalFormatted: formatTime(script.total),
+        scriptingFormatted: formatTime(script.scripting),
+        scriptParseCompileFormatted: formatTime(script.scriptParseCompile),
+      }))
+      .sort((a, b) => b.total - a.total),
+    longTasks: mainThreadWork.longTasks.map(task => ({
+      ...task,
+      startTimeFormatted: formatTime(task.startTime),
+      durationFormatted: formatTime(task.duration),
+    })),
+  }
+}
+
+/**
+ * Lay out the filmstrip on a time axis
+ * @param {Object} filmstrip - Filmstrip extracted from the LHR
+ * @returns {Object|null} { duration, frames, finalScreenshot, markers } or null without frames
+ */
+function processTimeline(filmstrip) {
+  if (!filmstrip?.frames?.length) return null
+
+  const markerLabels = {
+    fcp: 'First Contentful Paint',
+    lcp: 'Largest Contentful Paint',
+    load: 'Load',
+  }
+
+  const markers = Object.entries(filmstrip.markers || {})
+    .filter(([, timing]) => typeof timing === 'number')
+    .map(([id, timing]) => ({
+      id,
+      label: markerLabels[id],
+      timing,
+      timingFormatted: formatTime(timing),
+    }))
+
+  // The axis covers the frames and every marker (load often comes after the last visual change)
+  const duration = Math.max(
+    ...filmstrip.frames.map(frame => frame.timing),
+    ...markers.map(marker => marker.timing)
+  )
+
+  return {
+    duration,
+    durationFormatted: formatTime(duration),
+    frames: filmstrip.frames.map(frame => ({
+      ...frame,
+      timingFormatted: formatTime(frame.timing),
+    })),
+    finalScreenshot: filmstrip.finalScreenshot,
+    markers,
+  }
+}
+
+/**
+ * Format the throttling settings applied by Lighthouse for report metadata
+ * @param {Object} configSettings - configSettings extracted from the LHR
+ * @returns {Object|null} Applied throttling values
+ */
+function processThrottling(configSettings) {
+  if (!configSettings?.throttling) return null
+
+  const { throttling, throttlingMethod } = configSettings
+
+  return {
+    method: throttlingMethod,
+    rttMs: throttling.rttMs,
+    throughputKbps: throttling.throughputKbps,
+    requestLatencyMs: throttling.requestLatencyMs,
+    downloadThroughputKbps: throttling.downloadThroughputKbps,
+    uploadThroughputKbps: throttling.uploadThroughputKbps,
+    cpuSlowdownMultiplier: throttling.cpuSlowdownMultiplier,
+  }
+}
+
 /**
  * Check if two URLs match (ignoring trailing slashes and protocol differences)
  */
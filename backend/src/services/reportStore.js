@@ -0,0 +1,249 @@
+/**
+ * Report Store Service
+ * Persists processed reports as JSON files so they survive reloads and can be shared by id
+ *
+ * Layout (REPORTS_DIR, default: backend/data/reports):
+ *   index.json   - summaries of every report, newest first (used for listing)
+ *   <id>.json    - full processed report
+ *   <id>.lhr.json - untrimmed Lighthouse result of the report's (median) run
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { randomUUID } from 'crypto'
+
+const DEFAULT_REPORTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../data/reports')
+const REPORTS_DIR = process.env.REPORTS_DIR || DEFAULT_REPORTS_DIR
+const INDEX_FILE = path.join(REPORTS_DIR, 'index.json')
+
+// Report ids are UUIDs; anything else never reaches the filesystem
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Same bands as the ScoreCard legend
+const SCORE_BANDS = {
+  good: { min: 90, max: 100 },
+  moderate: { min: 50, max: 89 },
+  poor: { min: 0, max: 49 },
+}
+
+const SORT_FIELDS = ['createdAt', 'score', 'url', 'deviceType', 'networkThrottling']
+
+class ReportStoreError extends Error {
+  constructor(message, code, statusCode = 500) {
+    super(message)
+    this.name = 'ReportStoreError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+// Index updates are read-modify-write; run them one at a time
+let indexQueue = Promise.resolve()
+
+function updateIndex(update) {
+  const run = indexQueue.then(async () => {
+    const index = await readIndex()
+    const updated = update(index)
+    await writeJson(INDEX_FILE, updated)
+    return updated
+  })
+  // Keep the chain alive even if one update fails
+  indexQueue = run.catch(() => {})
+  return run
+}
+
+async function readIndex() {
+  try {
+    return JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+}
+
+/**
+ * Write JSON atomically (temp file + rename) so readers never see half a report
+ */
+async function writeJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  const tempPath = `${filePath}.${process.pid}.tmp`
+  await fs.writeFile(tempPath, JSON.stringify(data))
+  await fs.rename(tempPath, filePath)
+}
+
+function reportPath(id, suffix = '') {
+  if (!ID_PATTERN.test(id)) {
+    throw new ReportStoreError(`Report ${id} not found`, 'REPORT_NOT_FOUND', 404)
+  }
+  return path.join(REPORTS_DIR, `${id}${suffix}.json`)
+}
+
+function getHost(url) {
+  try {
+    return new URL(url).hostname
+  } catch {
+    return null
+  }
+}
+
+function parseDate(value, name) {
+  const time = Date.parse(value)
+  if (Number.isNaN(time)) {
+    throw new ReportStoreError(`Invalid "${name}" date: ${value}`, 'INVALID_FILTER', 400)
+  }
+  return time
+}
+
+/**
+ * Build the listing entry for a report
+ * @param {Object} report - Stored report (with id and createdAt)
+ * @returns {Object} Report summary
+ */
+function summarizeReport(report) {
+  return {
+    id: report.id,
+    createdAt: report.createdAt,
+    url: report.url,
+    originalUrl: report.originalUrl,
+    host: getHost(report.originalUrl || report.url),
+    score: report.score,
+    deviceType: report.meta?.deviceType || null,
+    networkThrottling: report.meta?.networkThrottling || null,
+    authenticated: Boolean(report.meta?.authenticated),
+  }
+}
+
+/**
+ * Persist a processed report
+ * @param {Object} report - Processed report from processReport
+ * @param {Object} artifacts - Optional data stored next to the report
+ * @param {Object} artifacts.lhr - Full Lighthouse result (served by getLighthouseResult)
+ * @returns {Promise<Object>} Stored report (the input plus id, createdAt and hasLighthouseReport)
+ */
+async function saveReport(report, { lhr = null } = {}) {
+  const storedReport = {
+    ...report,
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    hasLighthouseReport: Boolean(lhr),
+  }
+
+  // The LHR goes first so a listed report never points at a missing export
+  if (lhr) {
+    await writeJson(reportPath(storedReport.id, '.lhr'), lhr)
+  }
+  await writeJson(reportPath(storedReport.id), storedReport)
+  await updateIndex(index => [summarizeReport(storedReport), ...index])
+
+  console.log(`   💾 Report saved: ${storedReport.id}`)
+  return storedReport
+}
+
+/**
+ * Load a stored report
+ * @param {string} id - Report id
+ * @returns {Promise<Object>} Stored report
+ */
+async function getReport(id) {
+  try {
+    return JSON.parse(await fs.readFile(reportPath(id), 'utf8'))
+  } catch (error) {
+    if (error instanceof ReportStoreError) throw error
+    if (error.code === 'ENOENT') {
+      throw new ReportStoreError(`Report ${id} not found`, 'REPORT_NOT_FOUND', 404)
+    }
+    throw new ReportStoreError(`Could not read report ${id}: ${error.message}`, 'REPORT_STORE_ERROR', 500)
+  }
+}
+
+/**
+ * Load the full Lighthouse result stored with a report
+ * @param {string} id - Report id
+ * @returns {Promise<Object>} Lighthouse result (LHR)
+ */
+async function getLighthouseResult(id) {
+  try {
+    return JSON.parse(await fs.readFile(reportPath(id, '.lhr'), 'utf8'))
+  } catch (error) {
+    if (error instanceof ReportStoreError) throw error
+    if (error.code === 'ENOENT') {
+      // Reports saved before LHRs were kept have none
+      throw new ReportStoreError(`No Lighthouse result stored for report ${id}`, 'LHR_NOT_FOUND', 404)
+    }
+    throw new ReportStoreError(`Could not read Lighthouse result ${id}: ${error.message}`, 'REPORT_STORE_ERROR', 500)
+  }
+}
+
+/**
+ * List summaries of stored reports
+ * @param {Object} filters - Optional filters (all strings, as they come from a query string)
+ * @param {string} filters.host - Hostname contains this text (case-insensitive)
+ * @param {string} filters.from - Created on/after this date (ISO date or datetime)
+ * @param {string} filters.to - Created on/before this date (a bare date includes the whole day)
+ * @param {string} filters.scoreBand - 'good' (90-100), 'moderate' (50-89) or 'poor' (0-49)
+ * @param {string} filters.deviceType - 'desktop' or 'mobile'
+ * @param {string} filters.sort - createdAt (default), score, url, deviceType or networkThrottling
+ * @param {string} filters.order - 'desc' (default) or 'asc'
+ * @returns {Promise<Array>} Report summaries
+ */
+async function listReports(filters = {}) {
+  const {
+    host,
+    from,
+    to,
+    scoreBand,
+    deviceType,
+    sort = 'createdAt',
+    order = 'desc',
+  } = filters
+
+  if (scoreBand && !SCORE_BANDS[scoreBand]) {
+    throw new ReportStoreError(`Unknown score band "${scoreBand}". Use one of: ${Object.keys(SCORE_BANDS).join(', ')}`, 'INVALID_FILTER', 400)
+  }
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new ReportStoreError(`Cannot sort by "${sort}". Use one of: ${SORT_FIELDS.join(', ')}`, 'INVALID_FILTER', 400)
+  }
+
+  const fromTime = from ? parseDate(from, 'from') : null
+  // A bare date (YYYY-MM-DD) as upper bound means "through the end of that day"
+  let toTime = to ? parseDate(to, 'to') : null
+  if (toTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toTime += 24 * 60 * 60 * 1000 - 1
+  }
+  const hostQuery = host?.trim().toLowerCase()
+
+  const results = (await readIndex()).filter(entry => {
+    const createdTime = Date.parse(entry.createdAt)
+    const entryHost = entry.host || getHost(entry.originalUrl || entry.url) || ''
+
+    if (hostQuery && !entryHost.toLowerCase().includes(hostQuery)) return false
+    if (fromTime !== null && createdTime < fromTime) return false
+    if (toTime !== null && createdTime > toTime) return false
+    if (deviceType && entry.deviceType !== deviceType) return false
+    if (scoreBand) {
+      const band = SCORE_BANDS[scoreBand]
+      if (entry.score < band.min || entry.score > band.max) return false
+    }
+    return true
+  })
+
+  const direction = order === 'asc' ? 1 : -1
+  results.sort((a, b) => {
+    const left = a[sort] ?? ''
+    const right = b[sort] ?? ''
+    if (left < right) return -1 * direction
+    if (left > right) return 1 * direction
+    return 0
+  })
+
+  return results
+}
+
+export {
+  saveReport,
+  getReport,
+  getLighthouseResult,
+  listReports,
+  ReportStoreError
+}
@@ -0,0 +1,101 @@
+/**
+ * Run Statistics Service
+ * Summarizes repeated Lighthouse runs of the same page: picks the representative
+ * (median) run the way Lighthouse CI does and computes the spread of each metric.
+ */
+
+import { computeMedianRun } from 'lighthouse/core/lib/median-run.js'
+import { formatTime } from './reportProcessor.js'
+
+// Metrics summarized per run, grouped the same way as the processed report
+const STAT_METRICS = {
+  webVitals: ['lcp', 'inp', 'cls'],
+  metrics: ['fcp', 'si', 'tbt', 'ttfb', 'tti'],
+}
+
+/**
+ * Pick the run closest to the median FCP and TTI (Lighthouse CI's computeMedianRun)
+ * @param {Array<Object>} runs - Raw performance data from analyzePerformance
+ * @returns {number} Index of the median run
+ */
+function selectMedianRun(runs) {
+  // computeMedianRun works on LHRs; give it just the two audits it reads
+  const lhrs = runs.map(run => ({
+    audits: {
+      'first-contentful-paint': { numericValue: run.metrics.fcp },
+      interactive: { numericValue: run.timing?.timeToInteractive },
+    },
+  }))
+
+  try {
+    return lhrs.indexOf(computeMedianRun(lhrs))
+  } catch (error) {
+    // A run without FCP/TTI (e.g. page errored) — fall back to the median score
+    console.warn(`   ⚠️ Median run selection fell back to score: ${error.message}`)
+    const byScore = runs.map((run, index) => ({ score: run.score, index }))
+      .sort((a, b) => a.score - b.score)
+    return byScore[Math.floor((byScore.length - 1) / 2)].index
+  }
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * min/median/max/standard deviation of a list of values (nulls ignored)
+ * @param {Array<number|null>} values - One value per run
+ * @param {Function} format - Formatter for the *Formatted fields
+ * @returns {Object|null} Statistics, or null when no run measured the value
+ */
+function summarize(values, format) {
+  const measured = values.filter(value => typeof value === 'number' && Number.isFinite(value))
+  if (measured.length === 0) return null
+
+  const sorted = [...measured].sort((a, b) => a - b)
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+  // Population standard deviation: the runs are all the samples we have
+  const stddev = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length)
+
+  const stats = {
+    min: sorted[0],
+    median: median(sorted),
+    max: sorted[sorted.length - 1],
+    stddev,
+    values,
+  }
+
+  return {
+    ...stats,
+    minFormatted: format(stats.min),
+    medianFormatted: format(stats.median),
+    maxFormatted: format(stats.max),
+    stddevFormatted: format(stats.stddev),
+  }
+}
+
+/**
+ * Compute per-metric statistics across runs
+ * @param {Array<Object>} runs - Raw performance data from analyzePerformance
+ * @returns {Object} { count, medianRunIndex, score, webVitals: { lcp, ... }, metrics: { fcp, ... } }
+ */
+function computeRunStatistics(runs) {
+  const formatMetric = (key) => key === 'cls' ? (value) => value.toFixed(3) : formatTime
+
+  const group = (name, source) => Object.fromEntries(
+    STAT_METRICS[name].map(key => [key, summarize(runs.map(run => run[source][key]), formatMetric(key))])
+  )
+
+  return {
+    count: runs.length,
+    medianRunIndex: selectMedianRun(runs),
+    score: summarize(runs.map(run => run.score), (value) => String(Math.round(value * 10) / 10)),
+    webVitals: group('webVitals', 'webVitals'),
+    metrics: group('metrics', 'metrics'),
+  }
+}
+
+export { computeRunStatistics, selectMedianRun }
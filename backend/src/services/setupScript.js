@@ -0,0 +1,224 @@
+/**
+ * Setup Script
+ * Turns a user-supplied script into the `beforeAnalysis` step of an analysis, so multi-step
+ * logins (SSO) and cookie-consent flows can run before Lighthouse without server code.
+ * Accepts a Chrome DevTools Recorder JSON export or a restricted list of Playwright steps;
+ * nothing in either can run arbitrary JavaScript in the server or the page.
+ */
+
+const SETUP_ACTIONS = ['goto', 'fill', 'click', 'waitForSelector', 'press']
+
+const MAX_SETUP_STEPS = 50
+
+// Max wait for each step (page load, element to be actionable)
+const STEP_TIMEOUT_MS = 30000
+
+// Recorder steps that don't change what the analysis sees (the analysis sets its own viewport)
+const IGNORED_RECORDER_STEPS = ['setViewport', 'keyUp', 'hover', 'scroll']
+
+/**
+ * Custom error class for setup script errors
+ */
+class SetupScriptError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message)
+    this.name = 'SetupScriptError'
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Playwright selector for a Recorder step
+ * Recorder offers several selectors per element (aria, CSS, XPath, pierce, text), each a
+ * path through iframes/shadow roots; the first single-part one Playwright can use is taken.
+ * @param {Array<string|Array<string>>} selectors - Recorder `selectors`
+ * @returns {string|null} Playwright selector
+ */
+function recorderSelector(selectors = []) {
+  for (const selector of selectors) {
+    const parts = Array.isArray(selector) ? selector : [selector]
+    if (parts.length !== 1 || typeof parts[0] !== 'string') continue
+
+    const [value] = parts
+    // Accessible names need the element's role, which Recorder doesn't record
+    if (value.startsWith('aria/')) continue
+    if (value.startsWith('xpath/')) return `xpath=${value.slice('xpath/'.length)}`
+    if (value.startsWith('text/')) return `text=${value.slice('text/'.length)}`
+    // Playwright's CSS engine already pierces open shadow roots
+    if (value.startsWith('pierce/')) return value.slice('pierce/'.length)
+    return value
+  }
+  return null
+}
+
+/**
+ * Convert a Chrome DevTools Recorder export to setup steps
+ * @param {Object} recording - { title, steps: [{ type, url, selectors, value, key, ... }] }
+ * @returns {Array<Object>} Setup steps ({ action, url, selector, value, key })
+ */
+function fromRecording(recording) {
+  return recording.steps.flatMap((step, index) => {
+    const label = `Recorder step ${index + 1} (${step?.type})`
+    if (!step || typeof step !== 'object') {
+      throw new SetupScriptError(`Recorder step ${index + 1} is not a step object`, 'INVALID_SETUP')
+    }
+    if (IGNORED_RECORDER_STEPS.includes(step.type)) return []
+
+    if ((step.target && step.target !== 'main') || step.frame?.length) {
+      throw new SetupScriptError(`${label}: steps in popups or iframes are not supported`, 'INVALID_SETUP')
+    }
+
+    const selector = () => {
+      const value = recorderSelector(step.selectors)
+      if (!value) {
+        throw new SetupScriptError(`${label}: no CSS, XPath or text selector recorded`, 'INVALID_SETUP')
+      }
+      return value
+    }
+
+    switch (step.type) {
+      case 'navigate':
+        return [{ action: 'goto', url: step.url }]
+      case 'click':
+      case 'doubleClick':
+        return [{ action: 'click', selector: selector() }]
+      case 'change':
+        return [{ action: 'fill', selector: selector(), value: step.value }]
+      case 'keyDown':
+        return [{ action: 'press', key: step.key }]
+      case 'waitForElement':
+        return [{ action: 'waitForSelector', selector: selector() }]
+      default:
+        // waitForExpression and customStep run code in the page
+        throw new SetupScriptError(`${label}: step type is not supported`, 'INVALID_SETUP')
+    }
+  })
+}
+
+/**
+ * Validate one setup step
+ * @param {Object} step - { action, url, selector, value, key }
+ * @param {number} index - Position in the script (for messages)
+ * @returns {Object} Normalized step
+ */
+function resolveStep(step, index) {
+  const label = `Setup step ${index + 1}`
+  const { action, url, selector, value, key } = step || {}
+
+  if (!SETUP_ACTIONS.includes(action)) {
+    throw new SetupScriptError(`${label}: action must be one of ${SETUP_ACTIONS.join(', ')}`, 'INVALID_SETUP')
+  }
+
+  if (action === 'goto') {
+    let parsedUrl
+    try {
+      parsedUrl = new URL(url)
+    } catch {
+      throw new SetupScriptError(`${label}: goto needs a valid url`, 'INVALID_SETUP')
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      throw new SetupScriptError(`${label}: goto only supports http and https URLs`, 'INVALID_SETUP')
+    }
+    return { action, url: parsedUrl.href }
+  }
+
+  const hasSelector = typeof selector === 'string' && selector.trim()
+  // press may target the focused element
+  if (!hasSelector && action !== 'press') {
+    throw new SetupScriptError(`${label}: ${action} needs a selector`, 'INVALID_SETUP')
+  }
+  if (action === 'fill' && typeof value !== 'string') {
+    throw new SetupScriptError(`${label}: fill needs a value`, 'INVALID_SETUP')
+  }
+  if (action === 'press' && (typeof key !== 'string' || !key)) {
+    throw new SetupScriptError(`${label}: press needs a key`, 'INVALID_SETUP')
+  }
+
+  return {
+    action,
+    ...(hasSelector && { selector: selector.trim() }),
+    ...(action === 'fill' && { value }),
+    ...(action === 'press' && { key }),
+  }
+}
+
+/**
+ * Validate a setup script
+ * @param {Object|Array<Object>} setup - Recorder export ({ steps }) or Playwright step list
+ * @returns {Array<Object>} Normalized steps
+ */
+function resolveSetupSteps(setup) {
+  let steps
+  if (Array.isArray(setup)) {
+    steps = setup
+  } else if (Array.isArray(setup?.steps)) {
+    steps = fromRecording(setup)
+  } else {
+    throw new SetupScriptError(
+      'setup must be a Chrome DevTools Recorder export ({ steps }) or an array of { action } steps',
+      'INVALID_SETUP'
+    )
+  }
+
+  if (steps.length === 0) {
+    throw new SetupScriptError('setup has no steps to run', 'INVALID_SETUP')
+  }
+  if (steps.length > MAX_SETUP_STEPS) {
+    throw new SetupScriptError(`At most ${MAX_SETUP_STEPS} setup steps are supported`, 'INVALID_SETUP')
+  }
+
+  return steps.map(resolveStep)
+}
+
+/**
+ * Run one setup step
+ * @param {Page} page - Playwright page
+ * @param {Object} step - Normalized step
+ */
+async function runStep(page, { action, url, selector, value, key }) {
+  const options = { timeout: STEP_TIMEOUT_MS }
+
+  if (action === 'goto') {
+    await page.goto(url, { ...options, waitUntil: 'load' })
+  } else if (action === 'fill') {
+    await page.locator(selector).first().fill(value, options)
+  } else if (action === 'click') {
+    await page.locator(selector).first().click(options)
+  } else if (action === 'waitForSelector') {
+    await page.waitForSelector(selector, { ...options, state: 'visible' })
+  } else if (selector) {
+    await page.locator(selector).first().press(key, options)
+  } else {
+    await page.keyboard.press(key)
+  }
+}
+
+/**
+ * Build the `beforeAnalysis` function for a setup script
+ * @param {Array<Object>} steps - Normalized steps (from resolveSetupSteps)
+ * @returns {Function} async (page) => void
+ */
+function createSetupFunction(steps) {
+  return async (page) => {
+    console.log(`   📜 Running ${steps.length} setup step(s)`)
+
+    for (const [index, step] of steps.entries()) {
+      try {
+        await runStep(page, step)
+      } catch (error) {
+        throw new SetupScriptError(
+          `Setup step ${index + 1} (${step.action} ${step.url || step.selector || step.key}) failed: ${error.message.split('\n')[0]}`,
+          'SETUP_FAILED',
+          422
+        )
+      }
+    }
+
+    // Let the last step's navigation and its cookies settle
+    await page.waitForLoadState('networkidle', { timeout: STEP_TIMEOUT_MS }).catch(() => {})
+    console.log(`   ✅ Setup finished at ${page.url()}`)
+  }
+}
+
+export { resolveSetupSteps, createSetupFunction, SetupScriptError, SETUP_ACTIONS }
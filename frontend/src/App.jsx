@@ -2,6 +2,8 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import LandingPage from './pages/LandingPage'
 import ReportPage from './pages/ReportPage'
 import DocsPage from './pages/DocsPage'
+import HistoryPage from './pages/HistoryPage'
+import ComparePage from './pages/ComparePage'
 import './App.css'
 
 function App() {
@@ -10,6 +12,9 @@ function App() {
       <Routes>
         <Route path="/" element={<LandingPage />} />
         <Route path="/report" element={<ReportPage />} />
+        <Route path="/report/:id" element={<ReportPage />} />
+        <Route path="/history" element={<HistoryPage />} />
+        <Route path="/compare" element={<ComparePage />} />
         <Route path="/docs" element={<DocsPage />} />
         {/* Catch-all: redirect any unknown path to home */}
         <Route path="*" element={<Navigate to="/" replace />} />
@@ -1,15 +1,62 @@
 import { useState, useEffect } from 'react'
 import LoadingSpinner from './LoadingSpinner'
+import CookieJarImport from './CookieJarImport'
+import CurlImport from './CurlImport'
+import AuthCheck from './AuthCheck'
+import AuthCheckResult from './AuthCheckResult'
 import './AnalyzeModal.css'
 
+// Lighthouse categories that can be added to the performance audit
+const extraCategories = [
+  { value: 'accessibility', label: 'Accessibility' },
+  { value: 'best-practices', label: 'Best Practices' },
+  { value: 'seo', label: 'SEO' }
+]
+
+// Scripted interactions replayed after load to measure INP
+const interactionTypes = [
+  { value: 'click', label: 'Click' },
+  { value: 'type', label: 'Type' },
+  { value: 'scroll', label: 'Scroll to' }
+]
+
+// Login form fields; selectors and success checks are optional
+const EMPTY_LOGIN = {
+  loginUrl: '',
+  username: '',
+  password: '',
+  usernameSelector: '',
+  passwordSelector: '',
+  submitSelector: '',
+  successUrl: '',
+  successSelector: ''
+}
+
 // Bookmarklet code for session export
+const EMPTY_AUTH_CHECK = {
+  urlPattern: '',
+  selector: '',
+  absentText: ''
+}
+
 const BOOKMARKLET_CODE = `javascript:(function(){try{var d={url:location.href,origin:location.origin,cookies:document.cookie,localStorage:{},sessionStorage:{}};try{for(var i=0;i<localStorage.length;i++){var k=localStorage.key(i);d.localStorage[k]=localStorage.getItem(k);}}catch(e){}try{for(var i=0;i<sessionStorage.length;i++){var k=sessionStorage.key(i);d.sessionStorage[k]=sessionStorage.getItem(k);}}catch(e){}var s=JSON.stringify(d);navigator.clipboard.writeText(s).then(function(){alert('Session exported! Paste in RenderIQ.');}).catch(function(){prompt('Copy this:',s);});}catch(e){alert('Error: '+e.message);}})();`
 
-function AnalyzeModal({ isOpen, onClose, onAnalyze, isLoading, error }) {
+function AnalyzeModal({ isOpen, onClose, onAnalyze, onCancel, progress, isLoading, error, errorDetails }) {
   const [url, setUrl] = useState('')
   const [deviceType, setDeviceType] = useState('desktop')
   const [networkThrottling, setNetworkThrottling] = useState('4g')
+  const [runs, setRuns] = useState(1)
+  const [categories, setCategories] = useState([])
+  const [interactions, setInteractions] = useState([])
+  const [setupScript, setSetupScript] = useState(null)
+  const [setupError, setSetupError] = useState('')
   const [authEnabled, setAuthEnabled] = useState(false)
+  const [authMode, setAuthMode] = useState('session')
+  const [login, setLogin] = useState(EMPTY_LOGIN)
+  const [cookieJar, setCookieJar] = useState(null)
+  const [curlImport, setCurlImport] = useState(null)
+  const [authCheck, setAuthCheck] = useState(EMPTY_AUTH_CHECK)
+  const [abortIfLoggedOut, setAbortIfLoggedOut] = useState(false)
   const [sessionData, setSessionData] = useState('')
   const [formattedData, setFormattedData] = useState(null)
   const [sessionDataError, setSessionDataError] = useState('')
@@ -75,18 +122,35 @@ function AnalyzeModal({ isOpen, onClose, onAnalyze, isLoading, error }) {
     return cookies.split(';').filter(c => c.trim()).length
   }
 
-  const handleSubmit = (e) => {
-    e.preventDefault()
-    if (!url.trim()) return
-    
-    let formattedUrl = url.trim()
-    if (!/^https?:\/\//i.test(formattedUrl)) {
-      formattedUrl = 'https://' + formattedUrl
-    }
+  const formatUrl = (value) => {
+    const trimmed = value.trim()
+    return /^https?:\/\//i.test(trimmed) ? trimmed : 'https://' + trimmed
+  }
 
-    let authData = null
-    if (authEnabled && formattedData) {
-      authData = {
+  const buildAuthData = () => {
+    if (!authEnabled) return null
+
+    if (authMode === 'login') {
+      // Optional fields are only sent when filled in (the server has defaults)
+      const authData = {
+        type: 'login',
+        ...Object.fromEntries(Object.entries(login)
+          .map(([key, value]) => [key, key === 'password' ? value : value.trim()])
+          .filter(([, value]) => value))
+      }
+      authData.loginUrl = formatUrl(authData.loginUrl)
+      return authData
+    }
+    if (authMode === 'cookies') {
+      // The server parses the jar again, keeping every cookie attribute
+      return cookieJar ? { type: 'cookie-jar', cookies: cookieJar.text } : null
+    }
+    if (authMode === 'curl') {
+      // The server parses the command again and sends its cookies and headers
+      return curlImport ? { type: 'curl', curl: curlImport.text } : null
+    }
+    if (formattedData) {
+      return {
         type: 'session',
         origin: formattedData.origin,
         cookies: formattedData.cookies || '',
@@ -94,16 +158,87 @@ function AnalyzeModal({ isOpen, onClose, onAnalyze, isLoading, error }) {
         sessionStorage: formattedData.sessionStorage || {}
       }
     }
+    return null
+  }
+
+  // Only the rules that were filled in are sent; none means "not redirected"
+  const buildAuthCheck = () => {
+    const rules = Object.fromEntries(Object.entries(authCheck)
+      .map(([key, value]) => [key, value.trim()])
+      .filter(([, value]) => value))
+    return Object.keys(rules).length > 0 ? rules : true
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!url.trim()) return
+
+    const authData = buildAuthData()
 
     onAnalyze({
-      url: formattedUrl,
+      url: formatUrl(url),
       deviceType,
       networkThrottling,
-      authData
+      runs,
+      categories,
+      // Rows left without a selector are ignored
+      interactions: interactions
+        .filter(interaction => interaction.selector.trim())
+        .map(({ type, selector, text }) => ({ type, selector: selector.trim(), ...(type === 'type' && { text }) })),
+      setup: setupScript?.data || null,
+      authData,
+      verifyAuth: authData && abortIfLoggedOut ? buildAuthCheck() : null
     })
   }
 
+  // Recorder exports are { title, steps }, Playwright step lists are plain arrays; the server validates the steps
+  const handleSetupFile = async (file) => {
+    if (!file) return
+    setSetupError('')
+    try {
+      const data = JSON.parse(await file.text())
+      const steps = Array.isArray(data) ? data : data?.steps
+      if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error('Expected a Chrome DevTools Recorder export or a list of Playwright steps')
+      }
+      setSetupScript({
+        name: data.title || file.name,
+        format: Array.isArray(data) ? 'Playwright steps' : 'Recorder',
+        stepCount: steps.length,
+        data
+      })
+    } catch (err) {
+      setSetupScript(null)
+      setSetupError(err instanceof SyntaxError ? 'Invalid JSON file' : err.message)
+    }
+  }
+
+  const addInteraction = () => {
+    setInteractions(prev => [...prev, { type: 'click', selector: '', text: '' }])
+  }
+
+  const updateInteraction = (index, changes) => {
+    setInteractions(prev => prev.map((interaction, i) => i === index ? { ...interaction, ...changes } : interaction))
+  }
+
+  const removeInteraction = (index) => {
+    setInteractions(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const toggleCategory = (category) => {
+    setCategories(prev => prev.includes(category)
+      ? prev.filter(item => item !== category)
+      : [...prev, category])
+  }
+
   const isValidUrl = url.trim().length > 0
+  const isLoginComplete = Boolean(login.loginUrl.trim() && login.username.trim() && login.password)
+  const isAuthReady = !authEnabled || {
+    login: isLoginComplete,
+    cookies: Boolean(cookieJar?.preview),
+    curl: Boolean(curlImport?.preview),
+    session: Boolean(formattedData)
+  }[authMode]
 
   if (!isOpen) return null
 
@@ -184,6 +319,117 @@ function AnalyzeModal({ isOpen, onClose, onAnalyze, isLoading, error }) {
                     </div>
                   </div>
                 </div>
+
+                <div className="form-group">
+                  <label className="form-label" title="Several runs smooth out noise; the median run is reported">Runs</label>
+                  <div className="option-group">
+                    <div className="option-buttons runs">
+                      {[1, 3, 5].map((count) => (
+                        <button
+                          key={count}
+                          type="button"
+                          className={`option-btn small ${runs === count ? 'active' : ''}`}
+                          onClick={() => setRuns(count)}
+                        >
+                          {count}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Also audit</label>
+                <div className="option-group">
+                  <div className="option-buttons">
+                    {extraCategories.map((category) => (
+                      <button
+                        key={category.value}
+                        type="button"
+                        className={`option-btn small ${categories.includes(category.value) ? 'active' : ''}`}
+                        onClick={() => toggleCategory(category.value)}
+                      >
+                        {category.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label" title="Replayed after load to measure Interaction to Next Paint">
+                  Interactions (INP)
+                </label>
+                {interactions.map((interaction, index) => (
+                  <div key={index} className="interaction-row">
+                    <select
+                      className="interaction-type"
+                      value={interaction.type}
+                      onChange={(e) => updateInteraction(index, { type: e.target.value })}
+                    >
+                      {interactionTypes.map(type => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      className="interaction-input"
+                      placeholder="CSS selector, e.g. button.menu"
+                      value={interaction.selector}
+                      onChange={(e) => updateInteraction(index, { selector: e.target.value })}
+                    />
+                    {interaction.type === 'type' && (
+                      <input
+                        type="text"
+                        className="interaction-input"
+                        placeholder="Text to type"
+                        value={interaction.text}
+                        onChange={(e) => updateInteraction(index, { text: e.target.value })}
+                      />
+                    )}
+                    <button
+                      type="button"
+                      className="interaction-remove"
+                      onClick={() => removeInteraction(index)}
+                      aria-label="Remove interaction"
+                    >
+                      <CloseIcon />
+                    </button>
+                  </div>
+                ))}
+                <button type="button" className="interaction-add" onClick={addInteraction}>
+                  + Add interaction
+                </button>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label" title="Runs before the analysis, e.g. an SSO login or accepting cookies">
+                  Setup script
+                </label>
+                {setupScript ? (
+                  <div className="setup-script">
+                    <span className="setup-script-name">{setupScript.name}</span>
+                    <span className="setup-script-meta">{setupScript.format} · {setupScript.stepCount} steps</span>
+                    <button type="button" className="clear-button" onClick={() => setSetupScript(null)}>
+                      Clear
+                    </button>
+                  </div>
+                ) : (
+                  <label className="setup-script-picker">
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      onChange={(e) => handleSetupFile(e.target.files[0])}
+                    />
+                    Upload a Chrome DevTools Recorder JSON or Playwright steps (goto, fill, click, waitForSelector, press)
+                  </label>
+                )}
+                {setupError && (
+                  <p className="session-error">
+                    <AlertIcon /> {setupError}
+                  </p>
+                )}
               </div>
 
               <div className={`auth-section ${authEnabled ? 'expanded' : ''}`}>
@@ -203,7 +449,49 @@ function AnalyzeModal({ isOpen, onClose, onAnalyze, isLoading, error }) {
 
                 {authEnabled && (
                   <div className="auth-content">
-                    {!formattedData ? (
+                    <div className="option-group auth-mode">
+                      <div className="option-buttons">
+                        <button
+                          type="button"
+                          className={`option-btn small ${authMode === 'session' ? 'active' : ''}`}
+                          onClick={() => setAuthMode('session')}
+                        >
+                          Session export
+                        </button>
+                        <button
+                          type="button"
+                          className={`option-btn small ${authMode === 'login' ? 'active' : ''}`}
+                          onClick={() => setAuthMode('login')}
+                        >
+                          Login with credentials
+                        </button>
+                        <button
+                          type="button"
+                          className={`option-btn small ${authMode === 'cookies' ? 'active' : ''}`}
+                          onClick={() => setAuthMode('cookies')}
+                        >
+                          Cookie file
+                        </button>
+                        <button
+                          type="button"
+                          className={`option-btn small ${authMode === 'curl' ? 'active' : ''}`}
+                          onClick={() => setAuthMode('curl')}
+                        >
+                          cURL
+                        </button>
+                      </div>
+                    </div>
+
+                    {authMode === 'login' ? (
+                      <LoginFields
+                        login={login}
+                        onChange={(changes) => setLogin(prev => ({ ...prev, ...changes }))}
+                      />
+                    ) : authMode === 'cookies' ? (
+                      <CookieJarImport jar={cookieJar} onChange={setCookieJar} />
+                    ) : authMode === 'curl' ? (
+                      <CurlImport value={curlImport} url={url} onChange={setCurlImport} />
+                    ) : !formattedData ? (
                       <>
                         <div className="bookmarklet-section">
                           <h4>Quick Export with Bookmarklet</h4>
@@ -324,6 +612,21 @@ function AnalyzeModal({ isOpen, onClose, onAnalyze, isLoading, error }) {
                         )}
                       </div>
                     )}
+
+                    <AuthCheck
+                      check={authCheck}
+                      onChange={setAuthCheck}
+                      abortOnFailure={abortIfLoggedOut}
+                      onAbortChange={setAbortIfLoggedOut}
+                      buildRequest={() => ({
+                        url: formatUrl(url),
+                        deviceType,
+                        auth: buildAuthData(),
+                        setup: setupScript?.data || null,
+                        check: buildAuthCheck()
+                      })}
+                      disabled={!isValidUrl || !isAuthReady}
+                    />
                   </div>
                 )}
               </div>
@@ -334,20 +637,28 @@ function AnalyzeModal({ isOpen, onClose, onAnalyze, isLoading, error }) {
                   <span>{error}</span>
                 </div>
               )}
+              {error && errorDetails?.checks && <AuthCheckResult result={errorDetails} />}
 
               <button
                 type="submit"
                 className="analyze-btn"
-                disabled={!isValidUrl || (authEnabled && !formattedData)}
+                disabled={!isValidUrl || !isAuthReady}
               >
                 <RocketIcon />
-                {authEnabled && formattedData ? 'Analyze with Session' : 'Start Analysis'}
+                {!authEnabled
+                  ? 'Start Analysis'
+                  : { login: 'Log In and Analyze', cookies: 'Analyze with Cookies', curl: 'Analyze with cURL Auth', session: 'Analyze with Session' }[authMode]}
               </button>
             </form>
           </>
         ) : (
           <div className="modal-loading">
-            <LoadingSpinner />
+            <LoadingSpinner events={progress?.events} startedAt={progress?.startedAt} />
+            {onCancel && (
+              <button type="button" className="cancel-analysis-btn" onClick={onCancel}>
+                Cancel Analysis
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -356,6 +667,56 @@ function AnalyzeModal({ isOpen, onClose, onAnalyze, isLoading, error }) {
 }
 
 // Icons
+// Login page, credentials and the optional form selectors / success check
+function LoginFields({ login, onChange }) {
+  const [showAdvanced, setShowAdvanced] = useState(false)
+
+  const field = (key, label, placeholder, type = 'text') => (
+    <label className="login-field">
+      <span className="form-label">{label}</span>
+      <input
+        type={type}
+        className="login-input"
+        placeholder={placeholder}
+        value={login[key]}
+        onChange={(e) => onChange({ [key]: e.target.value })}
+        autoComplete={type === 'password' ? 'new-password' : 'off'}
+      />
+    </label>
+  )
+
+  return (
+    <div className="login-fields">
+      {field('loginUrl', 'Login page', 'https://example.com/login')}
+      <div className="login-row">
+        {field('username', 'Username or email', 'user@example.com')}
+        {field('password', 'Password', '••••••••', 'password')}
+      </div>
+
+      <button type="button" className="login-advanced-toggle" onClick={() => setShowAdvanced(!showAdvanced)}>
+        {showAdvanced ? 'Hide' : 'Show'} form selectors and success check
+      </button>
+
+      {showAdvanced && (
+        <>
+          <div className="login-row">
+            {field('usernameSelector', 'Username field', '#email')}
+            {field('passwordSelector', 'Password field', '#password')}
+            {field('submitSelector', 'Submit button', 'button[type="submit"]')}
+          </div>
+          <div className="login-row">
+            {field('successUrl', 'URL after login contains', '/dashboard')}
+            {field('successSelector', 'Element shown after login', '.user-menu')}
+          </div>
+          <p className="login-hint">
+            Without a success check, the login counts as failed if the login form is still shown after submitting.
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
 function CloseIcon() {
   return (
     <svg width="20" height="20" viewBox="0 0 20 20" fill="none" stroke="currentColor" strokeWidth="2">
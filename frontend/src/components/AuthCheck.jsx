@@ -0,0 +1,85 @@
+import { useState } from 'react'
+import { verifyAuth } from '../services/api'
+import AuthCheckResult from './AuthCheckResult'
+import './AuthCheck.css'
+
+// Checks the auth with the server before spending a Lighthouse run on it
+function AuthCheck({ check, onChange, abortOnFailure, onAbortChange, buildRequest, disabled }) {
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+  const [isChecking, setIsChecking] = useState(false)
+
+  const update = (changes) => {
+    setResult(null)
+    onChange({ ...check, ...changes })
+  }
+
+  const field = (key, label, placeholder) => (
+    <label className="login-field">
+      <span className="form-label">{label}</span>
+      <input
+        type="text"
+        className="login-input"
+        placeholder={placeholder}
+        value={check[key]}
+        onChange={(e) => update({ [key]: e.target.value })}
+      />
+    </label>
+  )
+
+  const runCheck = async () => {
+    setError('')
+    setResult(null)
+    setIsChecking(true)
+    try {
+      setResult(await verifyAuth(buildRequest()))
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Could not check the login')
+    } finally {
+      setIsChecking(false)
+    }
+  }
+
+  return (
+    <div className="auth-check">
+      <div className="auth-check-header">
+        <h4>Logged-in check</h4>
+        <p>
+          The page counts as logged in when every rule you set passes. With no rules, it must not redirect
+          (e.g. to a login page).
+        </p>
+      </div>
+
+      <div className="auth-check-fields">
+        {field('urlPattern', 'URL contains', '/dashboard or /app/*/settings')}
+        {field('selector', 'Element shown when logged in', '.user-menu')}
+        {field('absentText', 'Text that must be absent', 'Sign in')}
+      </div>
+
+      <div className="auth-check-actions">
+        <button
+          type="button"
+          className="auth-check-button"
+          onClick={runCheck}
+          disabled={disabled || isChecking}
+        >
+          {isChecking ? 'Checking login...' : 'Check login'}
+        </button>
+        <label className="auth-check-abort">
+          <input
+            type="checkbox"
+            checked={abortOnFailure}
+            onChange={(e) => onAbortChange(e.target.checked)}
+          />
+          Stop the analysis if not logged in
+        </label>
+      </div>
+
+      {error && <p className="session-error">{error}</p>}
+
+      {result && <AuthCheckResult result={result} />}
+    </div>
+  )
+}
+
+export default AuthCheck
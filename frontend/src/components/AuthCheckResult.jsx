@@ -0,0 +1,37 @@
+import './AuthCheck.css'
+
+const RULE_LABELS = {
+  urlPattern: 'URL',
+  selector: 'Element',
+  absentText: 'Text',
+  noRedirect: 'Redirect'
+}
+
+// Outcome of a logged-in check; also shown when an analysis stopped with AUTH_FAILED
+function AuthCheckResult({ result }) {
+  return (
+    <div className={`auth-check-result ${result.loggedIn ? 'passed' : 'failed'}`}>
+      <div className="auth-check-status">
+        <strong>{result.loggedIn ? 'Logged in' : 'Not logged in'}</strong>
+        <span title={result.finalUrl}>{result.finalUrl}</span>
+      </div>
+      <ul className="auth-check-rules">
+        {result.checks.map(rule => (
+          <li key={rule.rule} className={rule.passed ? 'passed' : 'failed'}>
+            <span className="auth-check-rule">{RULE_LABELS[rule.rule] || rule.rule}</span>
+            {rule.detail}
+          </li>
+        ))}
+      </ul>
+      {result.screenshot && (
+        <img
+          className="auth-check-screenshot"
+          src={`data:image/jpeg;base64,${result.screenshot}`}
+          alt={`Page loaded with the auth: ${result.title || result.finalUrl}`}
+        />
+      )}
+    </div>
+  )
+}
+
+export default AuthCheckResult
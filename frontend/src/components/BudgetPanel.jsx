@@ -0,0 +1,70 @@
+import './BudgetPanel.css'
+
+const kindLabels = {
+  timing: 'Timing',
+  resourceSize: 'Size',
+  resourceCount: 'Requests',
+}
+
+function BudgetPanel({ budgets }) {
+  if (!budgets) return null
+
+  const { results, failed, passed, path, source } = budgets
+
+  return (
+    <div className="budget-card card">
+      <div className="budget-header">
+        <div className="section-header">
+          <h2 className="section-title">Performance Budget</h2>
+          <p className="section-subtitle">
+            Budget for <code>{path}</code> {source === 'file' ? 'from the server budget file' : 'from the request'}
+          </p>
+        </div>
+        <span className={`budget-badge ${passed ? 'pass' : 'fail'}`}>
+          {passed ? 'WITHIN BUDGET' : `${failed} OVER BUDGET`}
+        </span>
+      </div>
+
+      <div className="budget-list">
+        {results.map(result => {
+          const state = result.pass === null ? 'unknown' : result.pass ? 'pass' : 'fail'
+          // Bar shows actual as a share of the limit, capped at 100% (overage is spelled out instead)
+          const percent = result.actual === null || result.limit === 0
+            ? 0
+            : Math.min((result.actual / result.limit) * 100, 100)
+
+          return (
+            <div key={`${result.kind}-${result.id}`} className={`budget-row ${state}`}>
+              <div className="budget-row-info">
+                <span className="budget-kind">{kindLabels[result.kind]}</span>
+                <span className="budget-label">{result.label}</span>
+              </div>
+              <div className="budget-bar">
+                <div className="budget-bar-fill" style={{ width: `${percent}%` }} />
+              </div>
+              <div className="budget-values">
+                <span className="budget-actual">{result.actualFormatted}</span>
+                <span className="budget-limit">/ {result.limitFormatted}</span>
+              </div>
+              <span className="budget-result">
+                {state === 'pass' && <CheckIcon />}
+                {state === 'fail' && `+${result.overByFormatted}`}
+                {state === 'unknown' && 'Not measured'}
+              </span>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+function CheckIcon() {
+  return (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5">
+      <path d="M20 6L9 17l-5-5"/>
+    </svg>
+  )
+}
+
+export default BudgetPanel
@@ -0,0 +1,146 @@
+import { useState } from 'react'
+import { parseCookieJar } from '../services/api'
+import './CookieJarImport.css'
+
+const FORMAT_LABELS = {
+  netscape: 'cookies.txt',
+  json: 'JSON cookie list',
+  storageState: 'Playwright storageState'
+}
+
+// Cookie rows shown before "show all"
+const PREVIEW_ROWS = 8
+
+function formatExpiry(expires) {
+  if (!expires || expires < 0) return 'Session'
+  return new Date(expires * 1000).toLocaleDateString()
+}
+
+function CookieJarImport({ jar, onChange }) {
+  const [text, setText] = useState(jar?.text || '')
+  const [error, setError] = useState('')
+  const [isParsing, setIsParsing] = useState(false)
+  const [showAll, setShowAll] = useState(false)
+
+  // The server reads the jar so the preview matches what the analysis will use
+  const loadJar = async (value) => {
+    setError('')
+    setIsParsing(true)
+    try {
+      const preview = await parseCookieJar(value)
+      onChange({ text: value, preview })
+    } catch (err) {
+      onChange(null)
+      setError(err.response?.data?.message || err.message || 'Could not read the cookies')
+    } finally {
+      setIsParsing(false)
+    }
+  }
+
+  const handleFile = async (file) => {
+    if (!file) return
+    const value = await file.text()
+    setText(value)
+    loadJar(value)
+  }
+
+  const clearJar = () => {
+    setText('')
+    setError('')
+    setShowAll(false)
+    onChange(null)
+  }
+
+  if (jar?.preview) {
+    const { preview } = jar
+    const rows = showAll ? preview.cookies : preview.cookies.slice(0, PREVIEW_ROWS)
+
+    return (
+      <div className="cookiejar-preview">
+        <div className="cookiejar-summary">
+          <span>
+            {preview.count} {preview.count === 1 ? 'cookie' : 'cookies'} from {FORMAT_LABELS[preview.format] || preview.format}
+            {preview.origins.length > 0 && ` · localStorage for ${preview.origins.length} origin(s)`}
+          </span>
+          <button type="button" className="clear-button" onClick={clearJar}>
+            Clear
+          </button>
+        </div>
+
+        <div className="cookiejar-table-wrapper">
+          <table className="cookiejar-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Domain</th>
+                <th>Path</th>
+                <th>Expires</th>
+                <th>Flags</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((cookie, index) => (
+                <tr key={`${cookie.domain}-${cookie.path}-${cookie.name}-${index}`}>
+                  <td className="cookiejar-name" title={cookie.name}>{cookie.name}</td>
+                  <td>{cookie.domain}</td>
+                  <td>{cookie.path}</td>
+                  <td>{formatExpiry(cookie.expires)}</td>
+                  <td className="cookiejar-flags">
+                    {cookie.httpOnly && <span className="cookiejar-flag">HttpOnly</span>}
+                    {cookie.secure && <span className="cookiejar-flag">Secure</span>}
+                    {cookie.sameSite && <span className="cookiejar-flag">{cookie.sameSite}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {preview.cookies.length > PREVIEW_ROWS && (
+          <button type="button" className="cookiejar-more" onClick={() => setShowAll(!showAll)}>
+            {showAll ? 'Show fewer' : `Show all ${preview.cookies.length}`}
+          </button>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="cookiejar-import">
+      <p className="cookiejar-desc">
+        Export cookies with their HttpOnly, Secure, domain and path attributes: a Netscape <code>cookies.txt</code>,
+        a JSON cookie list (DevTools, cookie editor extensions) or a Playwright <code>storageState</code> file.
+      </p>
+
+      <label className="cookiejar-file">
+        <input
+          type="file"
+          accept=".txt,.json,text/plain,application/json"
+          onChange={(e) => handleFile(e.target.files[0])}
+        />
+        Choose a cookie file
+      </label>
+
+      <textarea
+        className={`session-input ${error ? 'error' : ''}`}
+        placeholder={'.example.com\tTRUE\t/\tTRUE\t1767225600\tsession_id\tabc123'}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={4}
+      />
+
+      {error && <p className="session-error">{error}</p>}
+
+      <button
+        type="button"
+        className="cookiejar-load"
+        onClick={() => loadJar(text)}
+        disabled={!text.trim() || isParsing}
+      >
+        {isParsing ? 'Reading cookies...' : 'Preview cookies'}
+      </button>
+    </div>
+  )
+}
+
+export default CookieJarImport
@@ -0,0 +1,136 @@
+import { useState } from 'react'
+import { parseCurl } from '../services/api'
+import './CurlImport.css'
+
+const FORMAT_LABELS = {
+  bash: 'bash',
+  cmd: 'Windows cmd'
+}
+
+function hostOf(value) {
+  try {
+    return new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`).hostname
+  } catch {
+    return null
+  }
+}
+
+function CurlImport({ value, url, onChange }) {
+  const [text, setText] = useState(value?.text || '')
+  const [error, setError] = useState('')
+  const [isParsing, setIsParsing] = useState(false)
+
+  // The server reads the command so the preview matches what the analysis will send
+  const loadCurl = async () => {
+    setError('')
+    setIsParsing(true)
+    try {
+      const preview = await parseCurl(text)
+      onChange({ text, preview })
+    } catch (err) {
+      onChange(null)
+      setError(err.response?.data?.message || err.message || 'Could not read the cURL command')
+    } finally {
+      setIsParsing(false)
+    }
+  }
+
+  const clearCurl = () => {
+    setText('')
+    setError('')
+    onChange(null)
+  }
+
+  if (value?.preview) {
+    const { preview } = value
+    const curlHost = hostOf(preview.url)
+    const targetHost = url.trim() ? hostOf(url.trim()) : null
+    const isEmpty = preview.cookies.length === 0 && preview.headers.length === 0
+
+    return (
+      <div className="curl-preview">
+        <div className="curl-summary">
+          <span className="curl-request" title={preview.url}>
+            {preview.method} {preview.url} · {FORMAT_LABELS[preview.format] || preview.format}
+          </span>
+          <button type="button" className="clear-button" onClick={clearCurl}>
+            Clear
+          </button>
+        </div>
+
+        {curlHost && targetHost && curlHost !== targetHost && (
+          <p className="curl-warning">
+            Copied from {curlHost} but analyzing {targetHost}: the cookies are set for the analyzed site.
+          </p>
+        )}
+        {isEmpty && (
+          <p className="curl-warning">The command has no cookies or Authorization header to send.</p>
+        )}
+        {preview.warnings?.map(warning => (
+          <p key={warning} className="curl-warning">{warning}</p>
+        ))}
+
+        {preview.headers.length > 0 && (
+          <div className="curl-section">
+            <h5>Headers sent with every request</h5>
+            <ul className="curl-headers">
+              {preview.headers.map(header => (
+                <li key={header.name}>
+                  <span className="curl-header-name">{header.name}</span>
+                  <span className="curl-header-value">{header.value}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {preview.cookies.length > 0 && (
+          <div className="curl-section">
+            <h5>{preview.cookies.length} {preview.cookies.length === 1 ? 'cookie' : 'cookies'}</h5>
+            <div className="curl-cookies">
+              {preview.cookies.map((name, index) => (
+                <span key={`${name}-${index}`} className="curl-cookie">{name}</span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {preview.ignoredHeaders.length > 0 && (
+          <p className="curl-note">
+            Not sent: {preview.ignoredHeaders.join(', ')}
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="curl-import">
+      <p className="curl-desc">
+        In DevTools&apos; Network tab, right-click the page request and choose <strong>Copy → Copy as cURL</strong> (bash
+        or cmd). Its cookies and Authorization header are sent with the analysis.
+      </p>
+
+      <textarea
+        className={`session-input ${error ? 'error' : ''}`}
+        placeholder={"curl 'https://example.com/dashboard' -H 'authorization: Bearer ...' -b 'session_id=...'"}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={5}
+      />
+
+      {error && <p className="session-error">{error}</p>}
+
+      <button
+        type="button"
+        className="curl-load"
+        onClick={loadCurl}
+        disabled={!text.trim() || isParsing}
+      >
+        {isParsing ? 'Reading command...' : 'Preview what will be sent'}
+      </button>
+    </div>
+  )
+}
+
+export default CurlImport
@@ -0,0 +1,91 @@
+import { useState } from 'react'
+import './Filmstrip.css'
+
+const markerLabels = {
+  fcp: 'FCP',
+  lcp: 'LCP',
+  load: 'Load',
+}
+
+function Filmstrip({ timeline }) {
+  const [selectedFrame, setSelectedFrame] = useState(null)
+
+  if (!timeline) return null
+
+  const { duration, frames, markers, finalScreenshot } = timeline
+  const percent = (timing) => `${Math.min((timing / duration) * 100, 100)}%`
+
+  return (
+    <div className="filmstrip-card card">
+      <div className="section-header">
+        <h2 className="section-title">Page Load Timeline</h2>
+        <p className="section-subtitle">
+          What the page showed during the audited load ({timeline.durationFormatted})
+        </p>
+      </div>
+
+      <div className="filmstrip-body">
+        <div className="filmstrip-track">
+          <div className="filmstrip-frames">
+            {frames.map((frame, index) => {
+              // Each thumbnail shows the page as of its timing, so it covers the interval ending there
+              const start = index === 0 ? 0 : frames[index - 1].timing
+              return (
+                <button
+                  key={frame.timing}
+                  className={`filmstrip-frame ${selectedFrame === frame ? 'selected' : ''}`}
+                  style={{ left: percent(start), width: percent(frame.timing - start) }}
+                  onClick={() => setSelectedFrame(selectedFrame === frame ? null : frame)}
+                  title={`Page at ${frame.timingFormatted}`}
+                >
+                  <img src={frame.data} alt={`Page at ${frame.timingFormatted}`} />
+                  <span className="filmstrip-frame-time">{frame.timingFormatted}</span>
+                </button>
+              )
+            })}
+
+            {markers.map(marker => (
+              <div
+                key={marker.id}
+                className={`filmstrip-marker ${marker.id}`}
+                style={{ left: percent(marker.timing) }}
+              />
+            ))}
+          </div>
+
+          <div className="filmstrip-axis">
+            {markers.map((marker, index) => (
+              // Stagger labels so close markers (FCP and LCP often are) stay readable
+              <span
+                key={marker.id}
+                className={`filmstrip-marker-label ${marker.id}`}
+                style={{ left: percent(marker.timing), top: `${index * 20}px` }}
+                title={marker.label}
+              >
+                {markerLabels[marker.id]} {marker.timingFormatted}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {finalScreenshot && (
+          <button
+            className={`filmstrip-final ${selectedFrame === finalScreenshot ? 'selected' : ''}`}
+            onClick={() => setSelectedFrame(selectedFrame === finalScreenshot ? null : finalScreenshot)}
+          >
+            <img src={finalScreenshot.data} alt="Final screenshot" />
+            <span className="filmstrip-frame-time">Final</span>
+          </button>
+        )}
+      </div>
+
+      {selectedFrame && (
+        <div className="filmstrip-preview">
+          <img src={selectedFrame.data} alt="Selected frame" />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Filmstrip
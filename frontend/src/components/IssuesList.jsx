@@ -1,8 +1,23 @@
 import { useState } from 'react'
 import './IssuesList.css'
 
-function IssuesList({ issues }) {
+// Affected resources shown per page of an expanded issue
+const FILES_PER_PAGE = 10
+
+function IssuesList({ issues, categories = null }) {
   const [expandedIssues, setExpandedIssues] = useState(new Set())
+  const [activeGroup, setActiveGroup] = useState('performance')
+  const [filePages, setFilePages] = useState({})
+
+  // Performance issues first, then failed audits of each extra Lighthouse category
+  const issueGroups = [
+    { id: 'performance', title: 'Performance', issues },
+    ...Object.values(categories || {})
+      .filter(category => category.id !== 'performance' && category.issues)
+      .map(category => ({ id: category.id, title: category.title, issues: category.issues })),
+  ]
+  const hasCategories = issueGroups.length > 1
+  const activeIssues = (issueGroups.find(group => group.id === activeGroup) || issueGroups[0]).issues
 
   const toggleIssue = (issueId) => {
     const newExpanded = new Set(expandedIssues)
@@ -14,6 +29,10 @@ function IssuesList({ issues }) {
     setExpandedIssues(newExpanded)
   }
 
+  const setFilePage = (issueId, page) => {
+    setFilePages({ ...filePages, [issueId]: page })
+  }
+
   const formatBytes = (bytes) => {
     if (!bytes || bytes === 0) return null
     if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`
@@ -44,9 +63,9 @@ function IssuesList({ issues }) {
   }
 
   const groupedIssues = {
-    critical: issues.filter((issue) => issue.severity === 'critical'),
-    warning: issues.filter((issue) => issue.severity === 'warning'),
-    info: issues.filter((issue) => issue.severity === 'info'),
+    critical: activeIssues.filter((issue) => issue.severity === 'critical'),
+    warning: activeIssues.filter((issue) => issue.severity === 'warning'),
+    info: activeIssues.filter((issue) => issue.severity === 'info'),
   }
 
   const totalCritical = groupedIssues.critical.length
@@ -57,14 +76,17 @@ function IssuesList({ issues }) {
     const savings = issue.savings || {}
     const timeSavings = savings.timeFormatted || formatTime(savings.time)
     const byteSavings = savings.bytesFormatted || formatBytes(savings.bytes)
+    const files = issue.files || []
+    const pageCount = Math.ceil(files.length / FILES_PER_PAGE)
+    const page = Math.min(filePages[issue.id] || 0, Math.max(0, pageCount - 1))
+    const pageFiles = files.slice(page * FILES_PER_PAGE, (page + 1) * FILES_PER_PAGE)
 
     return (
-      <button
+      <div
         key={issue.id}
         className={`issue-item ${issue.severity} ${isExpanded ? 'expanded' : ''}`}
-        onClick={() => toggleIssue(issue.id)}
       >
-        <div className="issue-header">
+        <button className="issue-header" onClick={() => toggleIssue(issue.id)} aria-expanded={isExpanded}>
           <h4 className="issue-title">{issue.title}</h4>
           <div className="issue-meta">
             <div className="issue-savings">
@@ -73,23 +95,26 @@ function IssuesList({ issues }) {
             </div>
             <ChevronIcon className={isExpanded ? 'rotated' : ''} />
           </div>
-        </div>
+        </button>
         
         {isExpanded && (
           <div className="issue-details">
             {issue.description && (
               <p className="issue-description">{issue.description}</p>
             )}
-            {issue.files && issue.files.length > 0 && (
+            {files.length > 0 && (
               <div className="issue-files">
-                <p className="files-title">Affected Resources ({issue.files.length})</p>
+                <p className="files-title">Affected Resources ({files.length})</p>
                 <ul className="files-list">
-                  {issue.files.map((file, index) => (
-                    <li key={index} className="file-item">
-                      <span className="file-url" title={file.url}>
-                        {truncateUrl(file.url)}
+                  {pageFiles.map((file, index) => (
+                    <li key={page * FILES_PER_PAGE + index} className="file-item">
+                      <span className="file-url" title={file.url || file.label}>
+                        {file.label || truncateUrl(file.url)}
                       </span>
                       <div className="file-stats">
+                        {file.note && (
+                          <span className="file-note">{file.note}</span>
+                        )}
                         {file.sizeFormatted && file.size > 0 && (
                           <span className="file-size">{file.sizeFormatted}</span>
                         )}
@@ -100,11 +125,32 @@ function IssuesList({ issues }) {
                     </li>
                   ))}
                 </ul>
+                {pageCount > 1 && (
+                  <div className="files-pager">
+                    <button
+                      className="files-pager-button"
+                      onClick={() => setFilePage(issue.id, page - 1)}
+                      disabled={page === 0}
+                    >
+                      Previous
+                    </button>
+                    <span className="files-pager-status">
+                      {page * FILES_PER_PAGE + 1}–{page * FILES_PER_PAGE + pageFiles.length} of {files.length}
+                    </span>
+                    <button
+                      className="files-pager-button"
+                      onClick={() => setFilePage(issue.id, page + 1)}
+                      disabled={page === pageCount - 1}
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
               </div>
             )}
           </div>
         )}
-      </button>
+      </div>
     )
   }
 
@@ -112,8 +158,10 @@ function IssuesList({ issues }) {
     <div className="issues-card card">
       <div className="issues-header">
         <div className="section-header">
-          <h2 className="section-title">Performance Issues</h2>
-          <p className="section-subtitle">Opportunities to improve page speed</p>
+          <h2 className="section-title">{hasCategories ? 'Issues' : 'Performance Issues'}</h2>
+          <p className="section-subtitle">
+            {hasCategories ? 'Failed audits grouped by category' : 'Opportunities to improve page speed'}
+          </p>
         </div>
         <div className="issues-summary">
           {totalCritical > 0 && (
@@ -125,6 +173,21 @@ function IssuesList({ issues }) {
         </div>
       </div>
 
+      {hasCategories && (
+        <div className="issues-tabs">
+          {issueGroups.map(group => (
+            <button
+              key={group.id}
+              className={`issues-tab ${activeGroup === group.id ? 'active' : ''}`}
+              onClick={() => setActiveGroup(group.id)}
+            >
+              {group.title}
+              <span className="issues-tab-count">{group.issues.length}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
       <div className="issues-content">
         {groupedIssues.critical.length > 0 && (
           <div className="issues-section critical">
@@ -161,11 +224,17 @@ function IssuesList({ issues }) {
           </div>
         )}
 
-        {issues.length === 0 && (
+        {activeIssues.length === 0 && (
           <div className="no-issues">
             <CheckCircleIcon />
-            <p>No performance issues found!</p>
-            <span>Your page is performing well.</span>
+            {activeGroup === 'performance' ? (
+              <>
+                <p>No performance issues found!</p>
+                <span>Your page is performing well.</span>
+              </>
+            ) : (
+              <p>All audits passed!</p>
+            )}
           </div>
         )}
       </div>
@@ -29,20 +29,36 @@ function shuffleArray(array) {
   return shuffled
 }
 
-function LoadingSpinner() {
+// Phases reported by the backend while an analysis job runs (in order)
+const analysisPhases = [
+  { phase: 'queued', label: 'Waiting in queue' },
+  { phase: 'validation', label: 'Validating URL' },
+  { phase: 'waiting', label: 'Waiting for a free browser', optional: true },
+  { phase: 'launch', label: 'Launching browser' },
+  { phase: 'auth', label: 'Injecting authentication', optional: true },
+  { phase: 'setup', label: 'Running setup steps', optional: true },
+  { phase: 'lighthouse', label: 'Running Lighthouse audit' },
+  { phase: 'screenshot', label: 'Capturing screenshot' },
+  { phase: 'interactions', label: 'Replaying interactions', optional: true },
+  { phase: 'extraction', label: 'Extracting metrics' },
+  { phase: 'processing', label: 'Generating report' },
+]
+
+function formatElapsed(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${String(seconds).padStart(2, '0')}`
+}
+
+function LoadingSpinner({ events = [], startedAt = null }) {
   const shuffledFacts = useMemo(() => shuffleArray(performanceFacts), [])
   const [currentFactIndex, setCurrentFactIndex] = useState(0)
-  const [progress, setProgress] = useState(0)
+  const [now, setNow] = useState(() => Date.now())
 
   useEffect(() => {
-    const progressInterval = setInterval(() => {
-      setProgress(prev => {
-        if (prev >= 95) return prev
-        return prev + Math.random() * 8
-      })
-    }, 500)
-
-    return () => clearInterval(progressInterval)
+    const clockInterval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(clockInterval)
   }, [])
 
   useEffect(() => {
@@ -55,18 +71,31 @@ function LoadingSpinner() {
     return () => clearInterval(factInterval)
   }, [shuffledFacts.length])
 
-  const stages = [
-    { threshold: 0, label: 'Initializing browser...' },
-    { threshold: 15, label: 'Navigating to URL...' },
-    { threshold: 30, label: 'Loading page resources...' },
-    { threshold: 50, label: 'Measuring performance...' },
-    { threshold: 70, label: 'Analyzing metrics...' },
-    { threshold: 85, label: 'Generating report...' },
-  ]
+  // 'queued' arrives as a status event, everything else as progress events
+  const phaseEvents = events.filter(event =>
+    (event.type === 'progress' && event.level !== 'warning') ||
+    (event.type === 'status' && event.status === 'queued')
+  )
+  const seenPhases = new Set(phaseEvents.map(event => event.phase || event.status))
+  const lastPhaseEvent = phaseEvents[phaseEvents.length - 1]
+  const currentPhase = lastPhaseEvent ? (lastPhaseEvent.phase || lastPhaseEvent.status) : null
+  const warnings = events.filter(event => event.level === 'warning')
+  const failure = events.find(event => event.type === 'status' && event.status === 'failed')
 
-  const currentStage = stages.reduce((acc, stage) => 
-    progress >= stage.threshold ? stage : acc
-  , stages[0])
+  const stages = analysisPhases.filter(stage => !stage.optional || seenPhases.has(stage.phase))
+  const currentIndex = stages.findIndex(stage => stage.phase === currentPhase)
+  // Multi-run analyses repeat the browser phases once per run; spread those over the bar
+  const runPhaseIndexes = stages
+    .map((stage, index) => ['queued', 'validation', 'processing'].includes(stage.phase) ? null : index)
+    .filter(index => index !== null)
+  let progress = currentIndex < 0 ? 0 : (currentIndex / stages.length) * 100
+  if (lastPhaseEvent?.runs > 1 && runPhaseIndexes.includes(currentIndex)) {
+    const runStart = runPhaseIndexes[0]
+    const runSpan = runPhaseIndexes.length
+    const withinRuns = ((lastPhaseEvent.run - 1) * runSpan + (currentIndex - runStart)) / (runSpan * lastPhaseEvent.runs)
+    progress = ((runStart + withinRuns * runSpan) / stages.length) * 100
+  }
+  const stageLabel = lastPhaseEvent?.message || stages[currentIndex]?.label || 'Starting analysis...'
 
   return (
     <div className="loading-container">
@@ -83,7 +112,10 @@ function LoadingSpinner() {
         </div>
         
         <h2 className="loading-title">Analyzing Performance</h2>
-        <p className="loading-stage">{currentStage.label}</p>
+        <p className="loading-stage">
+          {stageLabel}
+          {startedAt && <span className="loading-elapsed">{formatElapsed(now - startedAt)}</span>}
+        </p>
         
         <div className="progress-wrapper">
           <div className="progress-bar">
@@ -95,6 +127,33 @@ function LoadingSpinner() {
           <span className="progress-text">{Math.round(progress)}%</span>
         </div>
 
+        {phaseEvents.length > 0 && (
+          <ol className="stage-list">
+            {stages.map((stage, index) => {
+              let state = 'pending'
+              if (index < currentIndex) state = 'done'
+              if (index === currentIndex) state = failure ? 'failed' : 'active'
+              return (
+                <li key={stage.phase} className={`stage-item ${state}`}>
+                  <span className="stage-dot" />
+                  <span>{stage.label}</span>
+                </li>
+              )
+            })}
+          </ol>
+        )}
+
+        {(warnings.length > 0 || failure) && (
+          <div className="stage-issues">
+            {warnings.map((warning, index) => (
+              <p key={index} className="stage-warning">{warning.message}</p>
+            ))}
+            {failure && (
+              <p className="stage-failure">{failure.error?.message || 'Analysis failed'}</p>
+            )}
+          </div>
+        )}
+
         <div className="fact-container">
           <div className="fact-icon">
             <LightbulbIcon />
@@ -0,0 +1,126 @@
+import { useState } from 'react'
+import './MainThreadPanel.css'
+
+// Scripts listed before "Show all"
+const INITIAL_SCRIPTS = 10
+
+function MainThreadPanel({ mainThread, tbt = null }) {
+  const [showAllScripts, setShowAllScripts] = useState(false)
+
+  if (!mainThread) return null
+
+  const { categories, scripts, longTasks } = mainThread
+  const maxScriptTime = Math.max(1, ...scripts.map(script => script.total))
+  const visibleScripts = showAllScripts ? scripts : scripts.slice(0, INITIAL_SCRIPTS)
+
+  return (
+    <div className="mainthread-card card">
+      <div className="section-header">
+        <h2 className="section-title">Main Thread Work</h2>
+        <p className="section-subtitle">
+          {mainThread.totalTimeFormatted} of main-thread work, {mainThread.bootupTimeFormatted} of it JavaScript
+          {tbt?.value !== null && tbt?.value !== undefined && ` · Total Blocking Time ${tbt.valueFormatted}`}
+        </p>
+      </div>
+
+      <div className="mainthread-breakdown">
+        <div className="mainthread-bar">
+          {categories.map(category => (
+            <span
+              key={category.id}
+              className={`mainthread-segment ${category.id}`}
+              style={{ width: `${category.percent}%` }}
+              title={`${category.label}: ${category.durationFormatted}`}
+            />
+          ))}
+        </div>
+        <ul className="mainthread-legend">
+          {categories.map(category => (
+            <li key={category.id}>
+              <span className={`mainthread-dot ${category.id}`} />
+              <span className="mainthread-legend-label">{category.label}</span>
+              <span className="mainthread-legend-value">{category.durationFormatted}</span>
+              <span className="mainthread-legend-percent">{category.percent}%</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {scripts.length > 0 && (
+        <div className="mainthread-section">
+          <h3 className="mainthread-section-title">JavaScript execution by script</h3>
+          <table className="mainthread-table">
+            <thead>
+              <tr>
+                <th>Script</th>
+                <th className="numeric">Total CPU</th>
+                <th className="numeric">Evaluation</th>
+                <th className="numeric">Parse &amp; compile</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleScripts.map(script => (
+                <tr key={script.url}>
+                  <td className="mainthread-script" title={script.url}>
+                    <span className="mainthread-script-name">{scriptName(script.url)}</span>
+                    <span className="mainthread-script-bar">
+                      <span
+                        className="mainthread-script-fill scripting"
+                        style={{ width: `${(script.scripting / maxScriptTime) * 100}%` }}
+                      />
+                      <span
+                        className="mainthread-script-fill parse"
+                        style={{ width: `${(script.scriptParseCompile / maxScriptTime) * 100}%` }}
+                      />
+                    </span>
+                  </td>
+                  <td className="numeric">{script.totalFormatted}</td>
+                  <td className="numeric">{script.scriptingFormatted}</td>
+                  <td className="numeric">{script.scriptParseCompileFormatted}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {scripts.length > INITIAL_SCRIPTS && (
+            <button className="mainthread-more" onClick={() => setShowAllScripts(!showAllScripts)}>
+              {showAllScripts ? 'Show fewer' : `Show all ${scripts.length} scripts`}
+            </button>
+          )}
+        </div>
+      )}
+
+      {longTasks.length > 0 && (
+        <div className="mainthread-section">
+          <h3 className="mainthread-section-title">Longest main-thread tasks</h3>
+          <ul className="longtask-list">
+            {longTasks.map((task, index) => (
+              <li key={`${task.url}-${task.startTime}-${index}`} title={task.url}>
+                <span className="longtask-name">{scriptName(task.url)}</span>
+                <span className="longtask-start">at {task.startTimeFormatted}</span>
+                <span className={`longtask-duration ${task.duration >= 250 ? 'poor' : 'moderate'}`}>
+                  {task.durationFormatted}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <p className="mainthread-note">
+            Tasks over 50 ms block input; the time beyond 50 ms in each is what adds up to Total Blocking Time.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Host + last path segment; Lighthouse uses "Other"/"Unattributable" for time not tied to a script
+function scriptName(url) {
+  try {
+    const { hostname, pathname } = new URL(url)
+    const file = pathname.split('/').filter(Boolean).pop()
+    return file ? `${hostname}/…/${file}` : hostname
+  } catch {
+    return url
+  }
+}
+
+export default MainThreadPanel
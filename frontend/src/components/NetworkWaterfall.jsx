@@ -0,0 +1,171 @@
+import { useMemo, useState } from 'react'
+import './NetworkWaterfall.css'
+
+// Rows rendered before "Show all" (pages with hundreds of requests stay responsive)
+const INITIAL_ROWS = 50
+
+const sortOptions = {
+  start: { label: 'Start time', compare: (a, b) => (a.startTime ?? 0) - (b.startTime ?? 0) },
+  size: { label: 'Size', compare: (a, b) => b.transferSize - a.transferSize },
+  duration: { label: 'Duration', compare: (a, b) => (b.duration ?? 0) - (a.duration ?? 0) },
+}
+
+const markerLabels = {
+  fcp: 'FCP',
+  lcp: 'LCP',
+  load: 'Load',
+}
+
+function NetworkWaterfall({ network, markers = [] }) {
+  const [typeFilter, setTypeFilter] = useState('all')
+  const [domainFilter, setDomainFilter] = useState('all')
+  const [highlightedOnly, setHighlightedOnly] = useState(false)
+  const [sortBy, setSortBy] = useState('start')
+  const [showAll, setShowAll] = useState(false)
+
+  const requests = useMemo(() => network?.requests || [], [network])
+
+  const { types, domains } = useMemo(() => {
+    const domainCounts = new Map()
+    requests.forEach(request => {
+      if (request.domain) domainCounts.set(request.domain, (domainCounts.get(request.domain) || 0) + 1)
+    })
+    return {
+      types: [...new Set(requests.map(request => request.resourceType))].sort(),
+      // Busiest domains first
+      domains: [...domainCounts.entries()].sort((a, b) => b[1] - a[1]).map(([domain]) => domain),
+    }
+  }, [requests])
+
+  const visibleRequests = useMemo(() => requests
+    .filter(request => typeFilter === 'all' || request.resourceType === typeFilter)
+    .filter(request => domainFilter === 'all' || request.domain === domainFilter)
+    .filter(request => !highlightedOnly || request.renderBlocking || request.lcpCritical)
+    .sort(sortOptions[sortBy].compare),
+  [requests, typeFilter, domainFilter, highlightedOnly, sortBy])
+
+  if (requests.length === 0) return null
+
+  // The time axis spans the last request and the markers (load can come after it)
+  const endTime = Math.max(1, ...requests.map(request => request.endTime ?? 0), ...markers.map(marker => marker.timing))
+  const percent = (time) => `${(time / endTime) * 100}%`
+  const rows = showAll ? visibleRequests : visibleRequests.slice(0, INITIAL_ROWS)
+  const blockingCount = requests.filter(request => request.renderBlocking).length
+  const lcpCriticalCount = requests.filter(request => request.lcpCritical).length
+
+  return (
+    <div className="waterfall-card card">
+      <div className="section-header">
+        <h2 className="section-title">Network Waterfall</h2>
+        <p className="section-subtitle">
+          {requests.length} requests · {network.totalSizeFormatted} transferred
+          {blockingCount > 0 && ` · ${blockingCount} render-blocking`}
+          {lcpCriticalCount > 0 && ` · ${lcpCriticalCount} on the LCP path`}
+        </p>
+      </div>
+
+      <div className="waterfall-controls">
+        <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} aria-label="Resource type">
+          <option value="all">All types</option>
+          {types.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <select value={domainFilter} onChange={(e) => setDomainFilter(e.target.value)} aria-label="Domain">
+          <option value="all">All domains</option>
+          {domains.map(domain => <option key={domain} value={domain}>{domain}</option>)}
+        </select>
+        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} aria-label="Sort by">
+          {Object.entries(sortOptions).map(([value, option]) => (
+            <option key={value} value={value}>Sort: {option.label}</option>
+          ))}
+        </select>
+        <label className="waterfall-toggle">
+          <input type="checkbox" checked={highlightedOnly} onChange={(e) => setHighlightedOnly(e.target.checked)} />
+          Render-blocking &amp; LCP-critical only
+        </label>
+      </div>
+
+      <div className="waterfall-legend">
+        <span className="waterfall-legend-item blocking">Render-blocking</span>
+        <span className="waterfall-legend-item lcp">LCP-critical</span>
+        {markers.map(marker => (
+          <span key={marker.id} className={`waterfall-legend-item marker ${marker.id}`}>
+            {markerLabels[marker.id]} {marker.timingFormatted}
+          </span>
+        ))}
+      </div>
+
+      <div className="waterfall-table" role="table">
+        <div className="waterfall-row waterfall-head" role="row">
+          <span role="columnheader">Request</span>
+          <span role="columnheader">Type</span>
+          <span role="columnheader">Status</span>
+          <span role="columnheader">Priority</span>
+          <span role="columnheader" className="numeric">Size</span>
+          <span role="columnheader" className="numeric">Time</span>
+          <span role="columnheader">Waterfall</span>
+        </div>
+
+        {rows.map((request, index) => (
+          <div
+            key={`${request.url}-${index}`}
+            className={[
+              'waterfall-row',
+              request.renderBlocking ? 'blocking' : '',
+              request.lcpCritical ? 'lcp' : '',
+            ].join(' ')}
+            role="row"
+            title={request.url}
+          >
+            <span className="waterfall-name">
+              <span className="waterfall-path">{requestName(request.url)}</span>
+              <span className="waterfall-domain">
+                {request.domain}
+                {request.lcpResource && <span className="waterfall-tag lcp">LCP resource</span>}
+                {request.cached && <span className="waterfall-tag">cached</span>}
+              </span>
+            </span>
+            <span>{request.resourceType}</span>
+            <span className={request.statusCode >= 400 ? 'waterfall-error' : ''}>{request.statusCode ?? '—'}</span>
+            <span>{request.priority || '—'}</span>
+            <span className="numeric">{request.transferSizeFormatted}</span>
+            <span className="numeric">{request.durationFormatted}</span>
+            <span className="waterfall-timeline">
+              {markers.map(marker => (
+                <span key={marker.id} className={`waterfall-marker ${marker.id}`} style={{ left: percent(marker.timing) }} />
+              ))}
+              {request.startTime !== null && (
+                <span
+                  className="waterfall-bar"
+                  style={{ left: percent(request.startTime), width: percent(request.duration || 0) }}
+                />
+              )}
+            </span>
+          </div>
+        ))}
+
+        {visibleRequests.length === 0 && (
+          <p className="waterfall-empty">No requests match these filters.</p>
+        )}
+      </div>
+
+      {visibleRequests.length > INITIAL_ROWS && (
+        <button className="waterfall-more" onClick={() => setShowAll(!showAll)}>
+          {showAll ? 'Show fewer' : `Show all ${visibleRequests.length} requests`}
+        </button>
+      )}
+    </div>
+  )
+}
+
+// Last path segment (or the host for "/"), without the query string
+function requestName(url) {
+  try {
+    const { pathname, hostname } = new URL(url)
+    const segments = pathname.split('/').filter(Boolean)
+    return segments.length > 0 ? segments[segments.length - 1] : hostname
+  } catch {
+    return url
+  }
+}
+
+export default NetworkWaterfall
@@ -1,7 +1,7 @@
 import { useEffect, useState } from 'react'
 import './ScoreCard.css'
 
-function ScoreCard({ score = 0 }) {
+function ScoreCard({ score = 0, spread = null, runCount = 1, categories = null }) {
   const [displayScore, setDisplayScore] = useState(0)
   const [needleAngle, setNeedleAngle] = useState(-90)
   
@@ -12,6 +12,7 @@ function ScoreCard({ score = 0 }) {
   }
   
   const status = getScoreStatus(score)
+  const otherCategories = Object.values(categories || {}).filter(category => category.id !== 'performance')
 
   useEffect(() => {
     const duration = 1800
@@ -109,6 +110,24 @@ function ScoreCard({ score = 0 }) {
         </div>
       </div>
 
+      {/* Spread across runs (multi-run analyses only) */}
+      {spread && (
+        <div className="score-spread">
+          <span className="score-spread-title">Median of {runCount} runs</span>
+          <span>Range {spread.minFormatted}–{spread.maxFormatted}</span>
+          <span>± {spread.stddevFormatted}</span>
+        </div>
+      )}
+
+      {/* One gauge per extra Lighthouse category (accessibility, best practices, SEO) */}
+      {otherCategories.length > 0 && (
+        <div className="category-gauges">
+          {otherCategories.map(category => (
+            <CategoryGauge key={category.id} category={category} getScoreStatus={getScoreStatus} />
+          ))}
+        </div>
+      )}
+
       <div className="score-legend">
         <div className="legend-item poor">
           <span className="legend-dot"></span>
@@ -127,4 +146,31 @@ function ScoreCard({ score = 0 }) {
   )
 }
 
+function CategoryGauge({ category, getScoreStatus }) {
+  const radius = 26
+  const circumference = 2 * Math.PI * radius
+  const hasScore = category.score !== null && category.score !== undefined
+  const status = hasScore ? getScoreStatus(category.score) : { class: 'unknown' }
+
+  return (
+    <div className={`category-gauge ${status.class}`}>
+      <svg viewBox="0 0 64 64" className="category-gauge-svg">
+        <circle cx="32" cy="32" r={radius} className="category-gauge-track" />
+        <circle
+          cx="32"
+          cy="32"
+          r={radius}
+          className="category-gauge-fill"
+          strokeDasharray={circumference}
+          strokeDashoffset={hasScore ? circumference * (1 - category.score / 100) : circumference}
+        />
+        <text x="32" y="37" textAnchor="middle" className="category-gauge-value">
+          {hasScore ? category.score : '–'}
+        </text>
+      </svg>
+      <span className="category-gauge-label">{category.title}</span>
+    </div>
+  )
+}
+
 export default ScoreCard
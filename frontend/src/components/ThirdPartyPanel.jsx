@@ -0,0 +1,137 @@
+import { useState } from 'react'
+import './ThirdPartyPanel.css'
+
+// Requests listed when an entity is expanded
+const TOP_REQUESTS = 5
+
+function ThirdPartyPanel({ thirdParties, requests = [] }) {
+  const [expanded, setExpanded] = useState(null)
+
+  if (!thirdParties || thirdParties.entities.length === 0) return null
+
+  const { entities, thirdParty, total } = thirdParties
+
+  const entityRequests = (name) => requests
+    .filter(request => (request.entity || request.domain || 'Other') === name)
+    .sort((a, b) => b.transferSize - a.transferSize)
+    .slice(0, TOP_REQUESTS)
+
+  return (
+    <div className="thirdparty-card card">
+      <div className="section-header">
+        <h2 className="section-title">Third Parties</h2>
+        <p className="section-subtitle">
+          {thirdParty.entityCount} third {thirdParty.entityCount === 1 ? 'party' : 'parties'}
+          {' '}· {thirdParty.requestCount} of {total.requestCount} requests
+          {' '}· {thirdParty.transferSizeFormatted} ({thirdParty.sizePercent}% of page weight)
+          {thirdParty.blockingTime > 0 && ` · ${thirdParty.blockingTimeFormatted} blocking the main thread`}
+        </p>
+      </div>
+
+      <table className="thirdparty-table">
+        <thead>
+          <tr>
+            <th>Entity</th>
+            <th className="numeric">Requests</th>
+            <th className="numeric">Transfer size</th>
+            <th className="numeric">Blocking time</th>
+            <th className="numeric">Main-thread time</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entities.map(entity => {
+            const isExpanded = expanded === entity.name
+            const topRequests = isExpanded ? entityRequests(entity.name) : []
+
+            return (
+              <EntityRows
+                key={entity.name}
+                entity={entity}
+                isExpanded={isExpanded}
+                topRequests={topRequests}
+                onToggle={() => setExpanded(isExpanded ? null : entity.name)}
+              />
+            )
+          })}
+        </tbody>
+      </table>
+
+      <p className="thirdparty-note">
+        {thirdParties.entities.some(entity => entity.isFirstParty && entity.mainThreadTime === null)
+          ? 'This report only has blocking and main-thread time for third parties; the first party\'s share is in Main Thread Work.'
+          : 'Main-thread time is each owner\'s script execution (bootup time); blocking time is its long tasks\' time over 50 ms.'}
+        {!thirdParties.hasFirstParty && ' The first party could not be identified, so every entity is listed as a third party.'}
+      </p>
+    </div>
+  )
+}
+
+function EntityRows({ entity, isExpanded, topRequests, onToggle }) {
+  return (
+    <>
+      <tr className={`thirdparty-row ${entity.isFirstParty ? 'first-party' : ''}`}>
+        <td className="thirdparty-entity">
+          <button className="thirdparty-toggle" onClick={onToggle} aria-expanded={isExpanded}>
+            <ChevronIcon expanded={isExpanded} />
+            <span className="thirdparty-name">{entity.name}</span>
+          </button>
+          <span className="thirdparty-tags">
+            {entity.isFirstParty && <span className="thirdparty-tag first-party">1st party</span>}
+            {entity.category && <span className="thirdparty-tag">{entity.category}</span>}
+          </span>
+          <span className="thirdparty-share">
+            <span className="thirdparty-share-fill" style={{ width: `${entity.sizePercent}%` }} />
+          </span>
+        </td>
+        <td className="numeric">{entity.requestCount}</td>
+        <td className="numeric">{entity.transferSizeFormatted}</td>
+        <td className={`numeric ${entity.blockingTime > 0 ? 'thirdparty-blocking' : ''}`}>
+          {entity.blockingTimeFormatted}
+        </td>
+        <td className="numeric">{entity.mainThreadTimeFormatted}</td>
+      </tr>
+      {isExpanded && (
+        <tr className="thirdparty-details">
+          <td colSpan={5}>
+            {topRequests.length > 0 ? (
+              <ul className="thirdparty-requests">
+                {topRequests.map((request, index) => (
+                  <li key={`${request.url}-${index}`} title={request.url}>
+                    <span className="thirdparty-request-url">{request.url}</span>
+                    <span className="thirdparty-request-type">{request.resourceType}</span>
+                    <span className="thirdparty-request-size">{request.transferSizeFormatted}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="thirdparty-empty">No individual requests recorded for this entity.</p>
+            )}
+            {entity.homepage && (
+              <a className="thirdparty-homepage" href={entity.homepage} target="_blank" rel="noopener noreferrer">
+                {entity.homepage}
+              </a>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
+
+function ChevronIcon({ expanded }) {
+  return (
+    <svg
+      className={`thirdparty-chevron ${expanded ? 'expanded' : ''}`}
+      width="14"
+      height="14"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+    >
+      <polyline points="9 18 15 12 9 6" />
+    </svg>
+  )
+}
+
+export default ThirdPartyPanel
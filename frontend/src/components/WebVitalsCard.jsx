@@ -10,6 +10,14 @@ const vitalInfo = {
       { label: 'Poor', range: '> 4.0s', color: '#ef4444' }
     ]
   },
+  inp: {
+    description: 'Measures responsiveness. The slowest time from a scripted interaction (click, typing) to the next paint.',
+    scale: [
+      { label: 'Good', range: '≤ 200ms', color: '#22c55e' },
+      { label: 'Moderate', range: '200ms – 500ms', color: '#f59e0b' },
+      { label: 'Poor', range: '> 500ms', color: '#ef4444' }
+    ]
+  },
   cls: {
     description: 'Measures visual stability. CLS quantifies how much elements shift around during page load.',
     scale: [
@@ -37,13 +45,16 @@ function formatValue(key, value) {
   if (key === 'cls') {
     return numValue.toFixed(3)
   }
+  if (key === 'inp') {
+    return `${Math.round(numValue)} ms`
+  }
   if (numValue > 100) {
     return `${(numValue / 1000).toFixed(1)} s`
   }
   return `${numValue.toFixed(1)} s`
 }
 
-function WebVitalsCard({ webVitals }) {
+function WebVitalsCard({ webVitals, runStats = null, interactions = null, onShowOnScreenshot = null }) {
   const [activeTooltip, setActiveTooltip] = useState(null)
 
   const getStatusInfo = (status, hasData) => {
@@ -62,6 +73,7 @@ function WebVitalsCard({ webVitals }) {
     }
   }
 
+  // A page load has no user input: INP only shows when interactions were replayed
   const vitals = [
     { 
       key: 'lcp', 
@@ -70,6 +82,13 @@ function WebVitalsCard({ webVitals }) {
       unit: 's',
       thresholds: { good: 2.5, poor: 4.0 }
     },
+    {
+      key: 'inp',
+      label: 'INP',
+      fullName: 'Interaction to Next Paint',
+      unit: 'ms',
+      thresholds: { good: 200, poor: 500 }
+    },
     { 
       key: 'cls', 
       label: 'CLS', 
@@ -77,7 +96,7 @@ function WebVitalsCard({ webVitals }) {
       unit: '',
       thresholds: { good: 0.1, poor: 0.25 }
     },
-  ]
+  ].filter(vital => vital.key !== 'inp' || interactions || webVitals?.inp?.value != null)
 
   return (
     <div className="vitals-card card">
@@ -91,6 +110,7 @@ function WebVitalsCard({ webVitals }) {
           const data = webVitals?.[vital.key]
           const hasData = data && data.value !== null && data.value !== undefined
           const statusInfo = getStatusInfo(data?.status, hasData)
+          const spread = runStats?.[vital.key]
           
           let displayValue = '—'
           if (hasData) {
@@ -154,6 +174,13 @@ function WebVitalsCard({ webVitals }) {
               <div className={`vital-value ${statusInfo.class}`}>
                 {displayValue}
               </div>
+
+              {spread && (
+                <div className="vital-spread" title={`Values per run: ${spread.values.map(value => value ?? 'N/A').join(', ')}`}>
+                  <span>{spread.minFormatted} – {spread.maxFormatted}</span>
+                  <span>σ {spread.stddevFormatted}</span>
+                </div>
+              )}
               
               <div className="vital-progress">
                 <div className="progress-track">
@@ -172,6 +199,16 @@ function WebVitalsCard({ webVitals }) {
                   <span>Poor</span>
                 </div>
               </div>
+
+              {vital.key === 'lcp' && (
+                <LcpDetails lcp={data} onShowOnScreenshot={onShowOnScreenshot} />
+              )}
+              {vital.key === 'inp' && (
+                <InpDetails inp={data} interactions={interactions} />
+              )}
+              {vital.key === 'cls' && (
+                <ClsDetails cls={data} onShowOnScreenshot={onShowOnScreenshot} />
+              )}
             </div>
           )
         })}
@@ -180,4 +217,152 @@ function WebVitalsCard({ webVitals }) {
   )
 }
 
+// What the LCP element was and where its time went
+function LcpDetails({ lcp, onShowOnScreenshot }) {
+  if (!lcp?.element && !lcp?.phases) return null
+
+  return (
+    <div className="vital-details">
+      {lcp.element && (
+        <ElementSummary
+          title="LCP element"
+          element={lcp.element}
+          onShow={lcp.element.boundingRect && onShowOnScreenshot ? () => onShowOnScreenshot('lcp') : null}
+        />
+      )}
+
+      {lcp.lazyLoaded && (
+        <p className="vital-warning">
+          The LCP image is lazy-loaded, which delays it. Remove <code>loading=&quot;lazy&quot;</code> from above-the-fold images.
+        </p>
+      )}
+
+      {lcp.phases && <PhaseBreakdown phases={lcp.phases} />}
+    </div>
+  )
+}
+
+// The slowest interaction: what it was, where its time went, and the steps that were replayed
+function InpDetails({ inp, interactions }) {
+  if (!inp) return null
+
+  return (
+    <div className="vital-details">
+      {inp.note && (
+        <p className={interactions?.error ? 'vital-warning' : 'vital-note'}>{inp.note}</p>
+      )}
+
+      {inp.element && (
+        <ElementSummary
+          title={inp.interactionType ? `Slowest interaction (${inp.interactionType})` : 'Slowest interaction'}
+          element={inp.element}
+        />
+      )}
+
+      {inp.phases && <PhaseBreakdown phases={inp.phases} />}
+
+      {interactions?.steps?.length > 0 && (
+        <div>
+          <div className="vital-details-header">
+            <span className="vital-details-title">Replayed interactions</span>
+          </div>
+          <ol className="interaction-step-list">
+            {interactions.steps.map((step, index) => (
+              <li key={index} title={step.selector}>
+                {index + 1}. {step.type} {step.selector}{step.type === 'type' ? ` "${step.text}"` : ''}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Stacked bar and legend of a metric's phases (LCP or INP)
+function PhaseBreakdown({ phases }) {
+  return (
+    <div>
+      <div className="phase-bar">
+        {phases.map(phase => (
+          <span
+            key={phase.id}
+            className={`phase-segment ${phase.id}`}
+            style={{ width: `${phase.percent}%` }}
+            title={`${phase.label}: ${phase.timingFormatted}`}
+          />
+        ))}
+      </div>
+      <ul className="phase-list">
+        {phases.map(phase => (
+          <li key={phase.id}>
+            <span className={`phase-dot ${phase.id}`} />
+            <span className="phase-label">{phase.label}</span>
+            <span className="phase-value">{phase.timingFormatted} · {phase.percent}%</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// Elements that shifted the most, with their share of the CLS score
+function ClsDetails({ cls, onShowOnScreenshot }) {
+  const elements = cls?.elements || []
+  if (elements.length === 0 && !cls?.duringInteractions) return null
+
+  const canShow = onShowOnScreenshot && elements.some(element => element.boundingRect)
+
+  return (
+    <div className="vital-details">
+      {cls.duringInteractions && (
+        <div className="interaction-summary">
+          <span>Shifts during interactions</span>
+          <span className="interaction-summary-value">{cls.duringInteractions.valueFormatted}</span>
+        </div>
+      )}
+
+      {elements.length > 0 && (
+        <div>
+          <div className="vital-details-header">
+            <span className="vital-details-title">Shifted elements</span>
+            {canShow && (
+              <button className="vital-details-link" onClick={() => onShowOnScreenshot('cls')}>
+                Show on screenshot
+              </button>
+            )}
+          </div>
+          <ul className="shift-element-list">
+            {elements.slice(0, 5).map((element, index) => (
+              <li key={`${element.selector}-${index}`} title={element.snippet || ''}>
+                <span className="shift-element-name">{element.nodeLabel || element.selector}</span>
+                <span className="shift-element-score">{element.scoreFormatted}</span>
+                {element.selector && <code className="element-selector">{element.selector}</code>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ElementSummary({ title, element, onShow }) {
+  return (
+    <div className="element-summary">
+      <div className="vital-details-header">
+        <span className="vital-details-title">{title}</span>
+        {onShow && (
+          <button className="vital-details-link" onClick={onShow}>
+            Show on screenshot
+          </button>
+        )}
+      </div>
+      {element.nodeLabel && <p className="element-label">{element.nodeLabel}</p>}
+      {element.selector && <code className="element-selector">{element.selector}</code>}
+      {element.snippet && <code className="element-snippet">{element.snippet}</code>}
+    </div>
+  )
+}
+
 export default WebVitalsCard
@@ -0,0 +1,363 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { compareReports } from '../services/api'
+import './ComparePage.css'
+
+const vitalLabels = {
+  lcp: 'Largest Contentful Paint',
+  inp: 'Interaction to Next Paint',
+  cls: 'Cumulative Layout Shift',
+}
+
+const statusLabels = {
+  good: 'Good',
+  'needs-improvement': 'Needs Improvement',
+  poor: 'Poor',
+  unknown: 'N/A',
+}
+
+const changeLabels = {
+  new: 'New',
+  resolved: 'Resolved',
+  changed: 'Changed',
+  unchanged: 'Unchanged',
+}
+
+function ComparePage() {
+  const navigate = useNavigate()
+  const [files, setFiles] = useState({ baseline: null, current: null })
+  const [comparison, setComparison] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!files.baseline || !files.current) {
+      setComparison(null)
+      return
+    }
+
+    let cancelled = false
+    setIsLoading(true)
+    setError('')
+
+    compareReports(files.baseline.report, files.current.report)
+      .then(data => {
+        if (!cancelled) setComparison(data)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || err.message || 'Could not compare reports')
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => { cancelled = true }
+  }, [files])
+
+  const handleFile = async (slot, file) => {
+    if (!file) return
+    setError('')
+
+    try {
+      const report = JSON.parse(await file.text())
+      setFiles(prev => ({ ...prev, [slot]: { name: file.name, report } }))
+    } catch {
+      setError(`${file.name} is not valid JSON`)
+    }
+  }
+
+  const handleSwap = () => {
+    setFiles(prev => ({ baseline: prev.current, current: prev.baseline }))
+  }
+
+  return (
+    <div className="compare-page">
+      <header className="compare-header">
+        <div className="compare-header-content">
+          <button className="compare-back-btn" onClick={() => navigate('/')}>
+            <ArrowLeftIcon /> Back
+          </button>
+          <h1>Compare Reports</h1>
+          <p>Load two reports saved with &quot;Download Report&quot; to see what changed</p>
+        </div>
+      </header>
+
+      <main className="compare-content">
+        <div className="compare-pickers">
+          <ReportPicker
+            label="Baseline"
+            hint="Before the change"
+            file={files.baseline}
+            onFile={(file) => handleFile('baseline', file)}
+          />
+          <button
+            className="compare-swap-btn"
+            onClick={handleSwap}
+            disabled={!files.baseline && !files.current}
+            title="Swap baseline and current"
+          >
+            <SwapIcon />
+          </button>
+          <ReportPicker
+            label="Current"
+            hint="After the change"
+            file={files.current}
+            onFile={(file) => handleFile('current', file)}
+          />
+        </div>
+
+        {error && <div className="compare-error card">{error}</div>}
+        {isLoading && <p className="compare-message">Comparing reports...</p>}
+
+        {comparison && !isLoading && !error && (
+          <ComparisonResults comparison={comparison} />
+        )}
+      </main>
+    </div>
+  )
+}
+
+function ReportPicker({ label, hint, file, onFile }) {
+  const [isDragging, setIsDragging] = useState(false)
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setIsDragging(false)
+    onFile(e.dataTransfer.files[0])
+  }
+
+  return (
+    <label
+      className={`compare-picker card ${file ? 'loaded' : ''} ${isDragging ? 'dragging' : ''}`}
+      onDragOver={(e) => { e.preventDefault(); setIsDragging(true) }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      <input
+        type="file"
+        accept="application/json,.json"
+        onChange={(e) => onFile(e.target.files[0])}
+      />
+      <span className="compare-picker-label">{label}</span>
+      {file ? (
+        <>
+          <span className="compare-picker-file">{file.name}</span>
+          <span className="compare-picker-hint">{file.report.url}</span>
+        </>
+      ) : (
+        <>
+          <FileIcon />
+          <span className="compare-picker-hint">{hint} — drop a report JSON or click to choose</span>
+        </>
+      )}
+    </label>
+  )
+}
+
+function ComparisonResults({ comparison }) {
+  const { score, webVitals, metrics, issues, network, summary } = comparison
+
+  // Regressions first, then the biggest changes
+  const sortedIssues = [...issues].sort((a, b) =>
+    Number(b.regressed) - Number(a.regressed) ||
+    Math.abs(b.savings.timeDelta) - Math.abs(a.savings.timeDelta)
+  )
+
+  return (
+    <>
+      {!comparison.sameConditions && (
+        <div className="compare-warning card">
+          <WarningIcon />
+          <span>
+            These reports were measured under different conditions
+            ({comparison.baseline.deviceType || '?'} / {comparison.baseline.networkThrottling || '?'} vs{' '}
+            {comparison.current.deviceType || '?'} / {comparison.current.networkThrottling || '?'}),
+            so deltas may not reflect code changes.
+          </span>
+        </div>
+      )}
+
+      <section className="compare-summary card">
+        <div className="compare-score">
+          <span className={`compare-score-value ${score.baselineStatus}`}>{score.baseline}</span>
+          <ArrowRightIcon />
+          <span className={`compare-score-value ${score.currentStatus}`}>{score.current}</span>
+          <span className={`compare-delta ${score.direction}`}>
+            {score.delta > 0 ? '+' : ''}{score.delta}
+          </span>
+        </div>
+        <div className="compare-summary-counts">
+          <span className={`compare-count ${summary.regressions > 0 ? 'worse' : ''}`}>
+            {summary.regressions} regression{summary.regressions === 1 ? '' : 's'}
+          </span>
+          <span className={`compare-count ${summary.improvements > 0 ? 'better' : ''}`}>
+            {summary.improvements} improvement{summary.improvements === 1 ? '' : 's'}
+          </span>
+        </div>
+        <div className="compare-summary-dates">
+          <span>{formatDate(comparison.baseline.analyzedAt)}</span>
+          <span>{formatDate(comparison.current.analyzedAt)}</span>
+        </div>
+      </section>
+
+      <MetricTable
+        title="Core Web Vitals"
+        rows={webVitals.map(row => ({ ...row, label: vitalLabels[row.key] || row.label }))}
+      />
+      <MetricTable title="Performance Metrics" rows={metrics} />
+
+      <section className="compare-section card">
+        <h2 className="compare-section-title">Issues</h2>
+        {sortedIssues.length === 0 ? (
+          <p className="compare-message">Neither report has issues.</p>
+        ) : (
+          <table className="compare-table">
+            <thead>
+              <tr>
+                <th>Issue</th>
+                <th>Change</th>
+                <th>Time savings</th>
+                <th>Size savings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedIssues.map(issue => (
+                <tr key={issue.id} className={issue.regressed ? 'regressed' : issue.improved ? 'improved' : ''}>
+                  <td>{issue.title}</td>
+                  <td>
+                    <span className={`compare-change ${issue.change}`}>{changeLabels[issue.change]}</span>
+                  </td>
+                  <td className={`compare-delta ${issue.direction}`}>
+                    {issue.savings.timeDelta === 0 ? '—' : issue.savings.timeDeltaFormatted}
+                  </td>
+                  <td className={`compare-delta ${issue.savings.bytesDelta > 0 ? 'worse' : issue.savings.bytesDelta < 0 ? 'better' : 'same'}`}>
+                    {issue.savings.bytesDelta === 0 ? '—' : issue.savings.bytesDeltaFormatted}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="compare-section card">
+        <h2 className="compare-section-title">Network</h2>
+        <table className="compare-table">
+          <thead>
+            <tr>
+              <th>Resource type</th>
+              <th>Requests</th>
+              <th>Baseline</th>
+              <th>Current</th>
+              <th>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {network.resourceSummary.map(item => (
+              <tr key={item.resourceType}>
+                <td className="compare-resource-type">{item.resourceType}</td>
+                <td>
+                  {item.requestCount.baseline} → {item.requestCount.current}
+                  {item.requestCount.delta !== 0 && (
+                    <span className={`compare-delta ${item.requestCount.direction}`}>
+                      {' '}({item.requestCount.delta > 0 ? '+' : ''}{item.requestCount.delta})
+                    </span>
+                  )}
+                </td>
+                <td>{item.transferSize.baselineFormatted}</td>
+                <td>{item.transferSize.currentFormatted}</td>
+                <td className={`compare-delta ${item.transferSize.direction}`}>
+                  {item.transferSize.delta === 0 ? '—' : item.transferSize.deltaFormatted}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </>
+  )
+}
+
+function MetricTable({ title, rows }) {
+  return (
+    <section className="compare-section card">
+      <h2 className="compare-section-title">{title}</h2>
+      <table className="compare-table">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Baseline</th>
+            <th>Current</th>
+            <th>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} className={row.regressed ? 'regressed' : row.improved ? 'improved' : ''}>
+              <td>{row.label}</td>
+              <td>
+                {row.baselineFormatted}
+                <span className={`compare-status ${row.baselineStatus}`}>{statusLabels[row.baselineStatus]}</span>
+              </td>
+              <td>
+                {row.currentFormatted}
+                <span className={`compare-status ${row.currentStatus}`}>{statusLabels[row.currentStatus]}</span>
+              </td>
+              <td className={`compare-delta ${row.direction}`}>
+                {row.deltaFormatted === null || row.delta === 0 ? '—' : row.deltaFormatted}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  )
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : 'Unknown date'
+}
+
+function ArrowLeftIcon() {
+  return (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M19 12H5M12 19l-7-7 7-7"/>
+    </svg>
+  )
+}
+
+function ArrowRightIcon() {
+  return (
+    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M5 12h14M12 5l7 7-7 7"/>
+    </svg>
+  )
+}
+
+function SwapIcon() {
+  return (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M7 16V4M7 4L3 8M7 4l4 4M17 8v12M17 20l4-4M17 20l-4-4"/>
+    </svg>
+  )
+}
+
+function FileIcon() {
+  return (
+    <svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
+      <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
+      <path d="M14 2v6h6M12 18v-6M9 15l3-3 3 3"/>
+    </svg>
+  )
+}
+
+function WarningIcon() {
+  return (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z"/>
+      <path d="M12 9v4M12 17h.01"/>
+    </svg>
+  )
+}
+
+export default ComparePage
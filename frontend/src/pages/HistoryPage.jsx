@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { listReports } from '../services/api'
+import './HistoryPage.css'
+
+const scoreBands = [
+  { value: '', label: 'All scores' },
+  { value: 'good', label: '90-100 Fast' },
+  { value: 'moderate', label: '50-89 Moderate' },
+  { value: 'poor', label: '0-49 Slow' },
+]
+
+const columns = [
+  { key: 'url', label: 'URL' },
+  { key: 'score', label: 'Score' },
+  { key: 'deviceType', label: 'Device' },
+  { key: 'networkThrottling', label: 'Network' },
+  { key: 'authenticated', label: 'Auth', sortable: false },
+  { key: 'createdAt', label: 'Date' },
+]
+
+const emptyFilters = { host: '', from: '', to: '', scoreBand: '' }
+
+function getScoreClass(score) {
+  if (score >= 90) return 'good'
+  if (score >= 50) return 'moderate'
+  return 'poor'
+}
+
+function HistoryPage() {
+  const navigate = useNavigate()
+  const [filters, setFilters] = useState(emptyFilters)
+  const [sort, setSort] = useState({ field: 'createdAt', order: 'desc' })
+  const [reports, setReports] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    setIsLoading(true)
+    setError('')
+
+    // Only send filters that are set
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+    listReports({ ...params, sort: sort.field, order: sort.order })
+      .then(data => {
+        if (!cancelled) setReports(data)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.message || err.message || 'Could not load history')
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => { cancelled = true }
+  }, [filters, sort])
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+  }
+
+  const toggleSort = (field) => {
+    setSort(prev => ({
+      field,
+      order: prev.field === field && prev.order === 'desc' ? 'asc' : 'desc'
+    }))
+  }
+
+  const hasFilters = Object.values(filters).some(Boolean)
+
+  return (
+    <div className="history-page">
+      <header className="history-header">
+        <div className="history-header-content">
+          <button className="history-back-btn" onClick={() => navigate('/')}>
+            <ArrowLeftIcon /> Back
+          </button>
+          <h1>Report History</h1>
+          <p>Every analysis run on this server</p>
+        </div>
+      </header>
+
+      <main className="history-content">
+        <div className="history-filters card">
+          <div className="history-filter">
+            <label className="history-filter-label" htmlFor="history-host">Host</label>
+            <input
+              id="history-host"
+              type="text"
+              className="history-input"
+              placeholder="example.com"
+              value={filters.host}
+              onChange={(e) => updateFilter('host', e.target.value)}
+            />
+          </div>
+          <div className="history-filter">
+            <label className="history-filter-label" htmlFor="history-from">From</label>
+            <input
+              id="history-from"
+              type="date"
+              className="history-input"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+            />
+          </div>
+          <div className="history-filter">
+            <label className="history-filter-label" htmlFor="history-to">To</label>
+            <input
+              id="history-to"
+              type="date"
+              className="history-input"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+            />
+          </div>
+          <div className="history-filter">
+            <label className="history-filter-label" htmlFor="history-score">Score</label>
+            <select
+              id="history-score"
+              className="history-input"
+              value={filters.scoreBand}
+              onChange={(e) => updateFilter('scoreBand', e.target.value)}
+            >
+              {scoreBands.map(band => (
+                <option key={band.value} value={band.value}>{band.label}</option>
+              ))}
+            </select>
+          </div>
+          {hasFilters && (
+            <button className="history-clear-btn" onClick={() => setFilters(emptyFilters)}>
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        <div className="history-table-card card">
+          {error && <p className="history-message error">{error}</p>}
+
+          {!error && !isLoading && reports.length === 0 && (
+            <p className="history-message">
+              {hasFilters ? 'No reports match these filters.' : 'No reports yet. Run an analysis to start your history.'}
+            </p>
+          )}
+
+          {!error && reports.length > 0 && (
+            <table className="history-table">
+              <thead>
+                <tr>
+                  {columns.map(column => (
+                    <th key={column.key}>
+                      {column.sortable === false ? column.label : (
+                        <button
+                          className={`history-sort-btn ${sort.field === column.key ? 'active' : ''}`}
+                          onClick={() => toggleSort(column.key)}
+                        >
+                          {column.label}
+                          {sort.field === column.key && (sort.order === 'asc' ? ' ↑' : ' ↓')}
+                        </button>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {reports.map(report => (
+                  <tr key={report.id} className="history-row" onClick={() => navigate(`/report/${report.id}`)}>
+                    <td className="history-url" title={report.url}>{report.originalUrl || report.url}</td>
+                    <td>
+                      <span className={`history-score ${getScoreClass(report.score)}`}>{report.score}</span>
+                    </td>
+                    <td className="history-cell-muted">{report.deviceType || '—'}</td>
+                    <td className="history-cell-muted">{report.networkThrottling?.toUpperCase() || '—'}</td>
+                    <td className="history-cell-muted">{report.authenticated ? <LockIcon /> : '—'}</td>
+                    <td className="history-cell-muted">{new Date(report.createdAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {isLoading && reports.length === 0 && !error && (
+            <p className="history-message">Loading history...</p>
+          )}
+        </div>
+      </main>
+    </div>
+  )
+}
+
+function ArrowLeftIcon() {
+  return (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M19 12H5M12 19l-7-7 7-7"/>
+    </svg>
+  )
+}
+
+function LockIcon() {
+  return (
+    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <rect x="3" y="11" width="18" height="11" rx="2"/>
+      <path d="M7 11V7a5 5 0 0110 0v4"/>
+    </svg>
+  )
+}
+
+export default HistoryPage
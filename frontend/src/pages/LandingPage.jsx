@@ -1,6 +1,6 @@
 import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { analyzeURL } from '../services/api'
+import { analyzeURL, cancelAnalysisJob, importLighthouseReport } from '../services/api'
 import AnalyzeModal from '../components/AnalyzeModal'
 import './LandingPage.css'
 
@@ -9,21 +9,78 @@ function LandingPage() {
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [isAnalyzing, setIsAnalyzing] = useState(false)
   const [error, setError] = useState('')
+  const [errorDetails, setErrorDetails] = useState(null)
+  const [activeJobId, setActiveJobId] = useState(null)
+  const [progress, setProgress] = useState({ events: [], startedAt: null })
+  const [isImporting, setIsImporting] = useState(false)
+  const [isDragging, setIsDragging] = useState(false)
+  const [importError, setImportError] = useState('')
 
   const handleAnalyze = async (options) => {
     setIsAnalyzing(true)
     setError('')
+    setErrorDetails(null)
+    setProgress({ events: [], startedAt: Date.now() })
     
     try {
-      const response = await analyzeURL(options)
+      const response = await analyzeURL(options, {
+        onJobCreated: (job) => setActiveJobId(job.id),
+        onProgress: (event) => setProgress(prev => ({ ...prev, events: [...prev.events, event] }))
+      })
       
-      // Navigate to report with the data
-      navigate('/report', { state: { reportData: response.data } })
+      // Navigate to the stored report's shareable URL (data passed along to skip a refetch)
+      const reportPath = response.data?.id ? `/report/${response.data.id}` : '/report'
+      navigate(reportPath, { state: { reportData: response.data } })
     } catch (err) {
-      const errorMessage = err.response?.data?.message || err.response?.data?.error || err.message || 'Analysis failed'
-      setError(errorMessage)
+      // Cancelling is the user's choice, not an error worth showing
+      if (err.code !== 'CANCELLED') {
+        const errorMessage = err.response?.data?.message || err.response?.data?.error || err.message || 'Analysis failed'
+        setError(errorMessage)
+        // AUTH_FAILED carries the logged-in check's result (rules, final URL, screenshot)
+        setErrorDetails(err.details || err.response?.data?.details || null)
+      }
     } finally {
       setIsAnalyzing(false)
+      setActiveJobId(null)
+    }
+  }
+
+  // Existing Lighthouse JSON (DevTools, CLI, PageSpeed Insights) → stored report, no browser run
+  const handleImportFile = async (file) => {
+    if (!file || isImporting) return
+    setImportError('')
+
+    let lighthouseJson
+    try {
+      lighthouseJson = JSON.parse(await file.text())
+    } catch {
+      setImportError(`${file.name} is not valid JSON`)
+      return
+    }
+
+    setIsImporting(true)
+    try {
+      const report = await importLighthouseReport(lighthouseJson)
+      navigate(`/report/${report.id}`, { state: { reportData: report } })
+    } catch (err) {
+      setImportError(err.response?.data?.message || err.message || 'Import failed')
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const handleImportDrop = (e) => {
+    e.preventDefault()
+    setIsDragging(false)
+    handleImportFile(e.dataTransfer.files[0])
+  }
+
+  const handleCancelAnalysis = async () => {
+    if (!activeJobId) return
+    try {
+      await cancelAnalysisJob(activeJobId)
+    } catch {
+      // Job already finished - polling will pick up the final state
     }
   }
 
@@ -31,9 +88,17 @@ function LandingPage() {
     <div className="landing-page">
       <nav className="top-nav">
         <div className="nav-brand">RenderIQ</div>
-        <button className="nav-help-btn" onClick={() => navigate('/docs')}>
-          <InfoIcon /> Help
-        </button>
+        <div className="nav-actions">
+          <button className="nav-help-btn" onClick={() => navigate('/history')}>
+            <HistoryIcon /> History
+          </button>
+          <button className="nav-help-btn" onClick={() => navigate('/compare')}>
+            <CompareIcon /> Compare
+          </button>
+          <button className="nav-help-btn" onClick={() => navigate('/docs')}>
+            <InfoIcon /> Help
+          </button>
+        </div>
       </nav>
 
       <section className="hero">
@@ -55,6 +120,27 @@ function LandingPage() {
             <span>Analyze Your Site</span>
             <ArrowIcon />
           </button>
+
+          <label
+            className={`lhr-dropzone ${isDragging ? 'dragging' : ''} ${isImporting ? 'importing' : ''}`}
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true) }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleImportDrop}
+          >
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={(e) => handleImportFile(e.target.files[0])}
+              disabled={isImporting}
+            />
+            <UploadIcon />
+            <span>
+              {isImporting
+                ? 'Importing Lighthouse report...'
+                : 'Already have a Lighthouse JSON? Drop it here or click to import'}
+            </span>
+          </label>
+          {importError && <p className="lhr-dropzone-error">{importError}</p>}
         </div>
       </section>
 
@@ -134,8 +220,11 @@ function LandingPage() {
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
         onAnalyze={handleAnalyze}
+        onCancel={activeJobId ? handleCancelAnalysis : null}
+        progress={progress}
         isLoading={isAnalyzing}
         error={error}
+        errorDetails={errorDetails}
       />
     </div>
   )
@@ -151,6 +240,31 @@ function InfoIcon() {
   )
 }
 
+function HistoryIcon() {
+  return (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <circle cx="12" cy="12" r="10"/>
+      <path d="M12 6v6l4 2"/>
+    </svg>
+  )
+}
+
+function CompareIcon() {
+  return (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M7 16V4M7 4L3 8M7 4l4 4M17 8v12M17 20l4-4M17 20l-4-4"/>
+    </svg>
+  )
+}
+
+function UploadIcon() {
+  return (
+    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4M17 8l-5-5-5 5M12 3v12"/>
+    </svg>
+  )
+}
+
 function ArrowIcon() {
   return (
     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -1,7 +1,13 @@
 import { useState, useEffect } from 'react'
-import { useLocation, useNavigate } from 'react-router-dom'
+import { useLocation, useNavigate, useParams } from 'react-router-dom'
+import { getReport, getLighthouseReportUrls } from '../services/api'
 import ScoreCard from '../components/ScoreCard'
 import WebVitalsCard from '../components/WebVitalsCard'
+import BudgetPanel from '../components/BudgetPanel'
+import Filmstrip from '../components/Filmstrip'
+import NetworkWaterfall from '../components/NetworkWaterfall'
+import MainThreadPanel from '../components/MainThreadPanel'
+import ThirdPartyPanel from '../components/ThirdPartyPanel'
 import MetricsList from '../components/MetricsList'
 import IssuesList from '../components/IssuesList'
 import './ReportPage.css'
@@ -9,29 +15,89 @@ import './ReportPage.css'
 function ReportPage() {
   const location = useLocation()
   const navigate = useNavigate()
+  const { id } = useParams()
   const [showScreenshotModal, setShowScreenshotModal] = useState(false)
+  const [screenshotHighlight, setScreenshotHighlight] = useState(null)
+  const [linkCopied, setLinkCopied] = useState(false)
+  const [loadedReport, setLoadedReport] = useState(null)
+  const [loadError, setLoadError] = useState('')
   
-  const reportData = location.state?.reportData
+  const stateReport = location.state?.reportData
+  const reportData = stateReport?.id === id || (!id && stateReport) ? stateReport : loadedReport
   
-  // Redirect to home if no report data (user accessed /report directly)
+  // Redirect to home if no report data and no id to load (user accessed /report directly)
   useEffect(() => {
-    if (!reportData) {
+    if (!id && !stateReport) {
       navigate('/', { replace: true })
     }
-  }, [reportData, navigate])
+  }, [id, stateReport, navigate])
+
+  // Load stored reports (shared links, page reloads)
+  useEffect(() => {
+    if (!id || stateReport?.id === id) return
+
+    let cancelled = false
+    setLoadedReport(null)
+    setLoadError('')
+    getReport(id)
+      .then(report => {
+        if (!cancelled) setLoadedReport(report)
+      })
+      .catch(err => {
+        if (!cancelled) setLoadError(err.response?.data?.message || err.message || 'Could not load report')
+      })
+
+    return () => { cancelled = true }
+  }, [id, stateReport])
+
+  if (loadError) {
+    return (
+      <div className="report-page">
+        <div className="report-status">
+          <p className="report-status-text">{loadError}</p>
+          <button className="action-button secondary" onClick={() => navigate('/')}>
+            New Analysis
+          </button>
+        </div>
+      </div>
+    )
+  }
   
-  // Don't render anything while redirecting
+  // Don't render anything while redirecting or loading
   if (!reportData) {
-    return null
+    return id ? (
+      <div className="report-page">
+        <div className="report-status">
+          <p className="report-status-text">Loading report...</p>
+        </div>
+      </div>
+    ) : null
   }
 
   const handleNewAnalysis = () => {
     navigate('/')
   }
 
-  const openScreenshotModal = () => setShowScreenshotModal(true)
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setLinkCopied(true)
+      setTimeout(() => setLinkCopied(false), 2000)
+    } catch {
+      // Clipboard unavailable (e.g. insecure context) - the URL bar still has the link
+    }
+  }
+
+  // highlight: 'lcp' or 'cls' outlines those elements on the screenshot
+  const openScreenshotModal = (highlight = null) => {
+    setScreenshotHighlight(highlight)
+    setShowScreenshotModal(true)
+  }
   const closeScreenshotModal = () => setShowScreenshotModal(false)
 
+  // Stored reports keep the full Lighthouse result; older ones and the CLI's don't
+  const lighthouseUrls = reportData.id && reportData.hasLighthouseReport ? getLighthouseReportUrls(reportData.id) : null
+
   const handleDownloadReport = () => {
     const report = {
       url: reportData.url,
@@ -40,7 +106,14 @@ function ReportPage() {
       webVitals: reportData.webVitals,
       metrics: reportData.metrics,
       issues: reportData.issues,
-      network: reportData.network
+      network: reportData.network,
+      runs: reportData.runs,
+      budgets: reportData.budgets,
+      categories: reportData.categories,
+      timeline: reportData.timeline,
+      mainThread: reportData.mainThread,
+      thirdParties: reportData.thirdParties,
+      meta: reportData.meta
     }
     
     const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' })
@@ -60,14 +133,44 @@ function ReportPage() {
         <div className="report-header-info">
           <h1 className="report-title">RenderIQ Report</h1>
           <p className="report-url">{reportData.url}</p>
+          {reportData.meta?.throttling && (
+            <p className="report-meta">{formatThrottling(reportData.meta)}</p>
+          )}
+          {reportData.meta?.imported && (
+            <p className="report-meta">
+              Imported Lighthouse {reportData.meta.lighthouseVersion} report
+              {reportData.fetchTime && ` · measured ${new Date(reportData.fetchTime).toLocaleString()}`}
+            </p>
+          )}
+          {reportData.meta?.importWarnings?.map(warning => (
+            <p key={warning} className="report-meta report-meta-warning">{warning}</p>
+          ))}
         </div>
         <div className="report-header-actions">
           <button className="action-button tertiary" onClick={() => navigate('/docs')}>
             <InfoIcon /> Help
           </button>
+          <button className="action-button tertiary" onClick={() => navigate('/history')}>
+            History
+          </button>
           <button className="action-button secondary" onClick={handleNewAnalysis}>
             New Analysis
           </button>
+          {reportData.id && (
+            <button className="action-button secondary" onClick={handleCopyLink}>
+              <LinkIcon /> {linkCopied ? 'Link Copied' : 'Copy Link'}
+            </button>
+          )}
+          {lighthouseUrls && (
+            <>
+              <a className="action-button secondary" href={lighthouseUrls.html} target="_blank" rel="noreferrer">
+                <ExternalIcon /> Lighthouse Report
+              </a>
+              <a className="action-button secondary" href={lighthouseUrls.json} download>
+                <DownloadIcon /> Lighthouse JSON
+              </a>
+            </>
+          )}
           <button className="action-button primary" onClick={handleDownloadReport}>
             <DownloadIcon /> Download Report
           </button>
@@ -112,20 +215,40 @@ function ReportPage() {
                   <p className="screenshot-card-subtitle">View the screenshot of the analyzed page</p>
                 </div>
               </div>
-              <button className="view-screenshot-btn" onClick={openScreenshotModal}>
+              <button className="view-screenshot-btn" onClick={() => openScreenshotModal()}>
                 <EyeIcon /> View Screenshot
               </button>
             </div>
           </div>
         )}
 
-        <ScoreCard score={reportData.score} />
+        <ScoreCard
+          score={reportData.score}
+          spread={reportData.runs?.score}
+          runCount={reportData.runs?.count}
+          categories={reportData.categories}
+        />
         
-        <WebVitalsCard webVitals={reportData.webVitals} />
+        <WebVitalsCard
+          webVitals={reportData.webVitals}
+          runStats={reportData.runs?.webVitals}
+          interactions={reportData.meta?.interactions}
+          onShowOnScreenshot={reportData.screenshot && reportData.meta?.viewport ? openScreenshotModal : null}
+        />
+
+        <Filmstrip timeline={reportData.timeline} />
         
         <MetricsList metrics={reportData.metrics} />
+
+        <MainThreadPanel mainThread={reportData.mainThread} tbt={reportData.metrics?.tbt} />
+
+        <BudgetPanel budgets={reportData.budgets} />
+
+        <NetworkWaterfall network={reportData.network} markers={reportData.timeline?.markers} />
+
+        <ThirdPartyPanel thirdParties={reportData.thirdParties} requests={reportData.network?.requests} />
         
-        <IssuesList issues={reportData.issues || []} />
+        <IssuesList issues={reportData.issues || []} categories={reportData.categories} />
       </main>
 
       {/* Screenshot Modal */}
@@ -133,17 +256,37 @@ function ReportPage() {
         <div className="screenshot-modal-overlay" onClick={closeScreenshotModal}>
           <div className="screenshot-modal" onClick={(e) => e.stopPropagation()}>
             <div className="screenshot-modal-header">
-              <h3>Page Screenshot</h3>
+              <h3>Page Screenshot{screenshotHighlight && ` · ${highlightTitles[screenshotHighlight]}`}</h3>
               <button className="screenshot-modal-close" onClick={closeScreenshotModal}>
                 <CloseIcon />
               </button>
             </div>
             <div className="screenshot-modal-body">
-              <img 
-                src={`data:image/jpeg;base64,${reportData.screenshot}`}
-                alt="Page screenshot"
-                className="screenshot-modal-image"
-              />
+              <div className="screenshot-frame">
+                <img 
+                  src={`data:image/jpeg;base64,${reportData.screenshot}`}
+                  alt="Page screenshot"
+                  className="screenshot-modal-image"
+                />
+                {highlightedElements(reportData, screenshotHighlight).map((element, index) => (
+                  <span
+                    key={index}
+                    className={`screenshot-highlight ${screenshotHighlight}`}
+                    style={highlightStyle(element.boundingRect, reportData.meta.viewport)}
+                    title={element.selector || ''}
+                  >
+                    <span className="screenshot-highlight-label">
+                      {screenshotHighlight === 'cls' ? element.scoreFormatted : 'LCP'}
+                    </span>
+                  </span>
+                ))}
+              </div>
+              {screenshotHighlight && (
+                <p className="screenshot-highlight-note">
+                  Outlines use the element positions Lighthouse recorded; the screenshot is captured after the audit,
+                  so they can be slightly off on pages that change after load.
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -152,6 +295,45 @@ function ReportPage() {
   )
 }
 
+const highlightTitles = {
+  lcp: 'LCP element',
+  cls: 'Shifted elements',
+}
+
+function highlightedElements(reportData, highlight) {
+  const elements = highlight === 'lcp'
+    ? [reportData.webVitals?.lcp?.element]
+    : highlight === 'cls' ? reportData.webVitals?.cls?.elements || [] : []
+  return elements.filter(element => element?.boundingRect)
+}
+
+// Bounding rects are CSS pixels of the emulated viewport, which is the screenshot's size
+function highlightStyle(rect, viewport) {
+  const percent = (value, total) => `${(value / total) * 100}%`
+  return {
+    left: percent(rect.left, viewport.width),
+    top: percent(rect.top, viewport.height),
+    width: percent(rect.width, viewport.width),
+    height: percent(rect.height, viewport.height),
+  }
+}
+
+// e.g. "Mobile · 4G · 150 ms RTT · 1.6 Mbps · 4x CPU (simulated)"
+function formatThrottling(meta) {
+  const { throttling } = meta
+  const parts = []
+  if (meta.deviceType) parts.push(meta.deviceType === 'desktop' ? 'Desktop' : 'Mobile')
+  if (meta.networkThrottling) parts.push(meta.networkThrottling.toUpperCase())
+  if (throttling.method === 'provided') {
+    parts.push('No throttling')
+  } else {
+    parts.push(`${Math.round(throttling.rttMs)} ms RTT`)
+    parts.push(`${(throttling.throughputKbps / 1024).toFixed(1)} Mbps`)
+    parts.push(`${throttling.cpuSlowdownMultiplier}x CPU (${throttling.method === 'devtools' ? 'DevTools' : 'simulated'})`)
+  }
+  return parts.join(' · ')
+}
+
 function DownloadIcon() {
   return (
     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -160,6 +342,23 @@ function DownloadIcon() {
   )
 }
 
+function ExternalIcon() {
+  return (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6M15 3h6v6M10 14L21 3"/>
+    </svg>
+  )
+}
+
+function LinkIcon() {
+  return (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+      <path d="M10 13a5 5 0 007.54.54l3-3a5 5 0 00-7.07-7.07l-1.72 1.71"/>
+      <path d="M14 11a5 5 0 00-7.54-.54l-3 3a5 5 0 007.07 7.07l1.71-1.71"/>
+    </svg>
+  )
+}
+
 function InfoIcon() {
   return (
     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
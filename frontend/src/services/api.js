@@ -10,40 +10,46 @@ const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000
 // Create axios instance
 const api = axios.create({
   baseURL: API_BASE_URL,
-  timeout: 120000, // 2 minutes timeout for performance analysis
+  timeout: 30000, // Analyses run as background jobs, so requests themselves are short
   headers: {
     'Content-Type': 'application/json'
   }
 })
 
+// How often to poll a queued/running analysis job
+const JOB_POLL_INTERVAL = 2000
+
 /**
- * Analyze URL performance
- * @param {string} url - URL to analyze
- * @param {Object} options - Analysis options
- * @param {string} options.deviceType - Device type (desktop/mobile)
- * @param {string} options.networkThrottling - Network throttling setting
- * @param {Object} options.auth - Authentication data (optional)
- * @returns {Promise<Object>} Performance analysis result
+ * Build the analysis request body
+ * Handles both calling conventions:
+ * 1. (url, { deviceType, networkThrottling, runs, categories, auth })
+ * 2. ({ url, deviceType, networkThrottling, runs, categories, auth })
  */
-export async function analyzeURL(urlOrOptions, options = {}) {
-  // Handle both calling conventions:
-  // 1. analyzeURL(url, { deviceType, networkThrottling, auth })
-  // 2. analyzeURL({ url, deviceType, networkThrottling, auth })
-  
-  let url, deviceType, networkThrottling, auth
+function buildAnalysisRequest(urlOrOptions, options = {}) {
+  let url, deviceType, networkThrottling, runs, categories, interactions, setup, auth, verifyAuth
   
   if (typeof urlOrOptions === 'string') {
     // New format: URL as first arg
     url = urlOrOptions
     deviceType = options.deviceType || 'desktop'
     networkThrottling = options.networkThrottling || '4g'
+    runs = options.runs
+    categories = options.categories
+    interactions = options.interactions
+    setup = options.setup
     auth = options.auth || null
+    verifyAuth = options.verifyAuth
   } else if (typeof urlOrOptions === 'object' && urlOrOptions !== null) {
     // Old format or full options object
     url = urlOrOptions.url
     deviceType = urlOrOptions.deviceType || 'desktop'
     networkThrottling = urlOrOptions.networkThrottling || '4g'
+    runs = urlOrOptions.runs
+    categories = urlOrOptions.categories
+    interactions = urlOrOptions.interactions
+    setup = urlOrOptions.setup
     auth = urlOrOptions.auth || urlOrOptions.authData || null
+    verifyAuth = urlOrOptions.verifyAuth
   }
 
   const requestBody = {
@@ -52,14 +58,241 @@ export async function analyzeURL(urlOrOptions, options = {}) {
     networkThrottling
   }
 
+  // Multi-run analysis reports the median run plus per-metric spread
+  if (runs > 1) {
+    requestBody.runs = runs
+  }
+
+  // Extra Lighthouse categories (performance always runs)
+  if (categories?.length > 0) {
+    requestBody.categories = categories
+  }
+
+  // Scripted interactions replayed after load to measure INP
+  if (interactions?.length > 0) {
+    requestBody.interactions = interactions
+  }
+
+  // Recorder export or Playwright steps run before the analysis (SSO login, cookie consent)
+  if (setup) {
+    requestBody.setup = setup
+  }
+
   // Add auth data if provided
   if (auth) {
     requestBody.auth = auth
   }
 
-  const response = await api.post('/analyze', requestBody)
+  // Stop with AUTH_FAILED instead of auditing a login page
+  if (auth && verifyAuth) {
+    requestBody.verifyAuth = verifyAuth
+  }
 
-  return response.data
+  return requestBody
+}
+
+/**
+ * Analyze URL performance
+ * Runs as a background job and polls until it finishes, so long (authenticated)
+ * runs are not cut off by HTTP timeouts
+ * @param {string|Object} urlOrOptions - URL to analyze, or full options object
+ * @param {Object} options - Analysis options
+ * @param {string} options.deviceType - Device type (desktop/mobile)
+ * @param {string} options.networkThrottling - Network throttling setting
+ * @param {Object} options.auth - Authentication data (optional)
+ * @param {Function} options.onJobCreated - Called with the job once queued (optional)
+ * @param {Function} options.onProgress - Called with each status/progress event (optional)
+ * @returns {Promise<Object>} Performance analysis result
+ */
+export async function analyzeURL(urlOrOptions, options = {}) {
+  const onJobCreated = options.onJobCreated || urlOrOptions?.onJobCreated
+  const onProgress = options.onProgress || urlOrOptions?.onProgress
+  const job = await submitAnalysisJob(buildAnalysisRequest(urlOrOptions, options))
+
+  if (onJobCreated) {
+    onJobCreated(job)
+  }
+
+  // Progress is a nice-to-have; polling below is what decides the outcome
+  const unsubscribe = onProgress ? subscribeToJobEvents(job.id, onProgress) : () => {}
+
+  let finishedJob
+  try {
+    finishedJob = await waitForJob(job.id)
+  } finally {
+    unsubscribe()
+  }
+
+  return {
+    status: 'success',
+    message: 'Performance analysis complete',
+    data: finishedJob.result
+  }
+}
+
+/**
+ * Queue an analysis job
+ * @param {Object} requestBody - Same body as /analyze
+ * @returns {Promise<Object>} Queued job
+ */
+export async function submitAnalysisJob(requestBody) {
+  const response = await api.post('/jobs', requestBody)
+  return response.data.data
+}
+
+/**
+ * Get analysis job status
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>} Job (with result once completed)
+ */
+export async function getAnalysisJob(jobId) {
+  const response = await api.get(`/jobs/${jobId}`)
+  return response.data.data
+}
+
+/**
+ * Cancel a queued or running analysis job
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>} Cancelled job
+ */
+export async function cancelAnalysisJob(jobId) {
+  const response = await api.delete(`/jobs/${jobId}`)
+  return response.data.data
+}
+
+/**
+ * Stream a job's status/progress events (Server-Sent Events)
+ * @param {string} jobId - Job id
+ * @param {Function} onEvent - Called with each event
+ * @returns {Function} Closes the stream
+ */
+export function subscribeToJobEvents(jobId, onEvent) {
+  const source = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`)
+  const handleMessage = (message) => {
+    try {
+      onEvent(JSON.parse(message.data))
+    } catch {
+      // Ignore malformed events
+    }
+  }
+
+  source.addEventListener('status', handleMessage)
+  source.addEventListener('progress', handleMessage)
+  // The server closes the stream once the job finishes; don't let EventSource reconnect
+  source.onerror = () => source.close()
+
+  return () => source.close()
+}
+
+/**
+ * Poll a job until it completes, fails or is cancelled
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object>} Completed job
+ */
+async function waitForJob(jobId) {
+  for (;;) {
+    const job = await getAnalysisJob(jobId)
+
+    if (job.status === 'completed') {
+      return job
+    }
+
+    if (job.status === 'failed' || job.status === 'cancelled') {
+      const error = new Error(job.error?.message || (job.status === 'cancelled' ? 'Analysis cancelled' : 'Analysis failed'))
+      error.code = job.status === 'cancelled' ? 'CANCELLED' : job.error?.code
+      error.details = job.error?.details || null
+      throw error
+    }
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL))
+  }
+}
+
+/**
+ * Get a stored report
+ * @param {string} reportId - Report id
+ * @returns {Promise<Object>} Processed report
+ */
+export async function getReport(reportId) {
+  const response = await api.get(`/reports/${reportId}`)
+  return response.data.data
+}
+
+/**
+ * Import a Lighthouse JSON report (DevTools, Lighthouse CLI or PageSpeed Insights) without running a browser
+ * @param {Object} lighthouseJson - Parsed Lighthouse JSON
+ * @returns {Promise<Object>} Stored report
+ */
+export async function importLighthouseReport(lighthouseJson) {
+  const response = await api.post('/import', lighthouseJson)
+  return response.data.data
+}
+
+/**
+ * Download links for the full Lighthouse result stored with a report
+ * (plain URLs rather than requests, so the browser handles the download)
+ * @param {string} reportId - Report id
+ * @returns {Object} { html, htmlDownload, json }
+ */
+export function getLighthouseReportUrls(reportId) {
+  const base = `${API_BASE_URL}/reports/${reportId}`
+  return {
+    html: `${base}/lighthouse.html`,
+    htmlDownload: `${base}/lighthouse.html?download=1`,
+    json: `${base}/lhr`,
+  }
+}
+
+/**
+ * List stored reports (summaries, newest first by default)
+ * @param {Object} filters - Optional { host, from, to, scoreBand, deviceType, sort, order }
+ * @returns {Promise<Array>} Report summaries
+ */
+export async function listReports(filters = {}) {
+  const response = await api.get('/reports', { params: filters })
+  return response.data.data
+}
+
+/**
+ * Compare two reports (e.g. downloaded before and after a deploy)
+ * @param {Object} baseline - Earlier report
+ * @param {Object} current - Later report
+ * @returns {Promise<Object>} Deltas with regression flags
+ */
+export async function compareReports(baseline, current) {
+  const response = await api.post('/compare', { baseline, current })
+  return response.data.data
+}
+
+/**
+ * Read a cookie jar for preview (values are not returned)
+ * @param {string} cookies - Netscape cookies.txt, JSON cookie list or Playwright storageState
+ * @returns {Promise<Object>} { format, count, cookies, origins }
+ */
+export async function parseCookieJar(cookies) {
+  const response = await api.post('/auth/parse-cookies', { cookies })
+  return response.data.data
+}
+
+/**
+ * Read a copied cURL command for preview (header values are shortened)
+ * @param {string} curl - "Copy as cURL" command (bash or cmd)
+ * @returns {Promise<Object>} { format, url, method, cookies, headers, ignoredHeaders }
+ */
+export async function parseCurl(curl) {
+  const response = await api.post('/auth/parse-curl', { curl })
+  return response.data.data
+}
+
+/**
+ * Check that auth reaches the logged-in page (no Lighthouse run)
+ * @param {Object} request - { url, deviceType, auth, setup, check: { urlPattern, selector, absentText } | true }
+ * @returns {Promise<Object>} { loggedIn, finalUrl, title, checks, screenshot }
+ */
+export async function verifyAuth(request) {
+  // Signing in and loading the page can take longer than a normal request
+  const response = await api.post('/auth/verify', request, { timeout: 120000 })
+  return response.data.data
 }
 
 /**